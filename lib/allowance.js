@@ -0,0 +1,54 @@
+const { ethers } = require('ethers');
+const { getRpcProvider } = require('./rpc');
+const { NATIVE, normalizeAddress } = require('./tokens');
+
+const ERC20 = new ethers.Interface([
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+]);
+
+// Tokens whose approve() reverts unless the current allowance is zero (USDT-style)
+const RESET_FIRST_TOKENS = {
+    1: ['0xdac17f958d2ee523a2206206994597c13d831ec7']
+};
+
+function needsResetFirst(chainId, token) {
+    return (RESET_FIRST_TOKENS[chainId] || []).includes(normalizeAddress(token, chainId));
+}
+
+async function getAllowance(chainId, token, owner, spender) {
+    const provider = getRpcProvider(chainId);
+    if (!provider) throw new Error(`No RPC configured for chain ${chainId}`);
+    const data = ERC20.encodeFunctionData('allowance', [owner, spender]);
+    const result = await provider.call({ to: token, data });
+    return ERC20.decodeFunctionResult('allowance', result)[0];
+}
+
+function buildApproveTx(token, spender, amount) {
+    return { to: token, value: "0", data: ERC20.encodeFunctionData('approve', [spender, amount]) };
+}
+
+/**
+ * Reads the current allowance and, when it is short of `amount` (raw units),
+ * the approve transactions to sign before the swap: a reset to zero first for
+ * USDT-style tokens, then an exact or unlimited approval.
+ */
+async function checkAllowance({ chainId, token, owner, spender, amount, unlimited = false }) {
+    const needed = BigInt(amount);
+    if (normalizeAddress(token, chainId) === NATIVE) {
+        return { allowance: null, sufficient: true, shouldResetApprove: false, approveTxs: [] };
+    }
+
+    const allowance = await getAllowance(chainId, token, owner, spender);
+    if (allowance >= needed) {
+        return { allowance, sufficient: true, shouldResetApprove: false, approveTxs: [] };
+    }
+
+    const shouldResetApprove = allowance > 0n && needsResetFirst(chainId, token);
+    const approveTxs = [];
+    if (shouldResetApprove) approveTxs.push(buildApproveTx(token, spender, 0n));
+    approveTxs.push(buildApproveTx(token, spender, unlimited ? ethers.MaxUint256 : needed));
+    return { allowance, sufficient: false, shouldResetApprove, approveTxs };
+}
+
+module.exports = { getAllowance, buildApproveTx, checkAllowance, needsResetFirst };
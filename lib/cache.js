@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { log } = require('./logger');
+
+// Small TTL map. With `file` set, entries are loaded at startup and written back
+// (debounced) on every set, so long-lived data survives restarts.
+function createTtlCache({ ttl, file } = {}) {
+    const entries = new Map();
+    let saveTimer = null;
+
+    if (file && fs.existsSync(file)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [key, entry] of Object.entries(saved)) entries.set(key, entry);
+        } catch (e) {
+            log.warn('ignoring unreadable cache file', { file, err: e });
+        }
+    }
+
+    function save() {
+        if (!file || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const now = Date.now();
+            const live = {};
+            for (const [key, entry] of entries) if (entry.expires > now) live[key] = entry;
+            fs.writeFile(file, JSON.stringify(live), (err) => {
+                if (err) log.warn('cache write failed', { file, err });
+            });
+        }, 1000);
+        saveTimer.unref();
+    }
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expires <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    function set(key, value, entryTtl = ttl) {
+        entries.set(key, { value, expires: Date.now() + entryTtl });
+        save();
+        return value;
+    }
+
+    // Expired entries are otherwise only dropped when read again
+    function prune() {
+        const now = Date.now();
+        for (const [key, entry] of entries) if (entry.expires <= now) entries.delete(key);
+    }
+
+    return { get, set, prune, delete: (key) => entries.delete(key), clear: () => entries.clear(), size: () => entries.size };
+}
+
+module.exports = { createTtlCache };
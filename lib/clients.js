@@ -0,0 +1,64 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { ERROR_CODES, SwapError } = require('./errors');
+
+/*
+ * API clients, from the JSON file at CLIENTS_FILE:
+ *   { "clients": [{
+ *       "id": "bitrabo-web",
+ *       "apiKey": "…",                                  sent as the x-api-key header
+ *       "origins": ["https://app.bitrabo.com"],          browser origins that identify it
+ *       "limits": { "quote": "600/100", "buildTx": "120/30" }   overrides, see rateLimit.js
+ *   }] }
+ * Origins are only as trustworthy as the browser sending them; anything outside a browser
+ * can claim one, so keep origin-only clients on modest limits.
+ * REQUIRE_API_KEY=true refuses callers identified by neither.
+ * CORS_ORIGINS (comma-separated, default *) plus every client origin may call from a browser.
+ */
+function loadClients() {
+    const file = process.env.CLIENTS_FILE;
+    if (!file) return [];
+    const { clients = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    clients.forEach(c => {
+        if (!c.id) throw new Error(`Every client in ${file} needs an id`);
+    });
+    return clients;
+}
+
+const CLIENTS = loadClients();
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+
+function parseOrigins() {
+    const listed = (process.env.CORS_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+    if (listed.includes('*')) return '*';
+    return [...new Set([...listed, ...CLIENTS.flatMap(c => c.origins || [])])];
+}
+
+// Value for the cors() `origin` option: '*' or the allowed origins
+const CORS_ORIGINS = parseOrigins();
+
+// Constant-time, so response timing does not leak how much of a guessed key was right
+function sameKey(a, b) {
+    const x = Buffer.from(String(a));
+    const y = Buffer.from(String(b));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Client making a request: `{ id, limits? }`, or null for an anonymous caller.
+ * Throws an UNAUTHORIZED SwapError for an unknown key, or for anonymous callers
+ * when REQUIRE_API_KEY is on.
+ */
+function identify({ apiKey, origin }) {
+    if (apiKey) {
+        const client = CLIENTS.find(c => c.apiKey && sameKey(c.apiKey, apiKey));
+        if (!client) throw new SwapError(ERROR_CODES.UNAUTHORIZED, 'Unknown API key');
+        return client;
+    }
+    const byOrigin = origin && CLIENTS.find(c => c.origins?.includes(origin));
+    if (byOrigin) return byOrigin;
+    if (REQUIRE_API_KEY) throw new SwapError(ERROR_CODES.UNAUTHORIZED, 'An API key is required');
+    return null;
+}
+
+module.exports = { CLIENTS, REQUIRE_API_KEY, CORS_ORIGINS, identify };
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// --- CONFIG ---
+const FEE_RECEIVER = process.env.BITRABO_FEE_RECEIVER;
+const FEE_PERCENT = Number(process.env.BITRABO_FEE || 0.0025);
+const LIFI_INTEGRATOR = process.env.BITRABO_INTEGRATOR || 'bitrabo';
+const LIFI_API_KEY = process.env.LIFI_API_KEY; // ← Critical! Must be in .env
+const TIMEOUT = 15000;
+
+// Placeholder taker for providers that insist on a wallet address
+const DEFAULT_TAKER = "0x5555555555555555555555555555555555555555";
+
+const env = (name) => process.env[name] ? process.env[name].trim() : undefined;
+
+const KEYS = {
+    ZEROX: env('ZEROX_API_KEY'),
+    ONEINCH: env('ONEINCH_API_KEY'),
+    CHANGEHERO: env('CHANGEHERO_API_KEY'),
+    OKX: {
+        KEY: env('OKX_API_KEY'),
+        SECRET: env('OKX_SECRET_KEY'),
+        PASSPHRASE: env('OKX_PASSPHRASE')
+    }
+};
+
+module.exports = {
+    FEE_RECEIVER, FEE_PERCENT, LIFI_INTEGRATOR, LIFI_API_KEY, TIMEOUT, DEFAULT_TAKER, KEYS, env
+};
@@ -0,0 +1,30 @@
+// Non-zero `code` values returned in the { code, message, data } envelope
+const ERROR_CODES = {
+    INVALID_PARAMS: 40001,
+    UNAUTHORIZED: 40101,
+    QUOTE_NOT_FOUND: 40401,
+    UNKNOWN_TOKEN: 40402,
+    ROUTE_NOT_FOUND: 40403,
+    QUOTE_EXPIRED: 41001,
+    QUOTE_MISMATCH: 40901,
+    STEP_NOT_READY: 42501,
+    SIMULATION_REVERTED: 42201,
+    RATE_LIMITED: 42901,
+    INTERNAL_ERROR: 50000,
+    BUILD_FAILED: 50001,
+    STATUS_UNAVAILABLE: 50301,
+    PRICE_UNAVAILABLE: 50302,
+    QUOTE_UNAVAILABLE: 50303,
+    ALLOWANCE_UNAVAILABLE: 50304,
+    PROXY_UNAVAILABLE: 50305
+};
+
+class SwapError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SwapError';
+        this.code = code;
+    }
+}
+
+module.exports = { ERROR_CODES, SwapError };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const BigNumber = require('bignumber.js');
+const { FEE_PERCENT, FEE_RECEIVER } = require('./config');
+const { tokenClass } = require('./slippage');
+
+/*
+ * Integrator fee policy, in basis points. BITRABO_FEE (a fraction, 0.0025 = 25 bps)
+ * sets the global rate; FEE_POLICY_FILE may point at JSON refining it:
+ *   {
+ *     "chains": { "56": 20 },
+ *     "pairs": { "1:0xa0b8...eb48:0xdac1...1ec7": 5 },
+ *     "stableToStableBps": 0,
+ *     "tiers": [{ "minUsd": 10000, "bps": 20 }, { "minUsd": 100000, "bps": 10 }]
+ *   }
+ * Precedence: pair override, stable-to-stable rate, then the chain override (else global)
+ * with volume tiers as discounts on it: a tier never charges more than the chain rate.
+ */
+function loadPolicy() {
+    const policy = { defaultBps: Math.round(FEE_PERCENT * 10000), chains: {}, pairs: {}, stableToStableBps: 0, tiers: [] };
+    const file = process.env.FEE_POLICY_FILE;
+    if (!file) return policy;
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        ...policy,
+        ...custom,
+        pairs: Object.fromEntries(Object.entries(custom.pairs || {}).map(([k, v]) => [k.toLowerCase(), v])),
+        tiers: [...(custom.tiers || [])].sort((a, b) => b.minUsd - a.minUsd)
+    };
+}
+
+const POLICY = loadPolicy();
+
+function pairKey(chainId, fromAddress, toAddress) {
+    return `${chainId}:${fromAddress}:${toAddress}`.toLowerCase();
+}
+
+function resolveBps({ fromChain, fromToken, toToken, amountUSD }) {
+    const pair = POLICY.pairs[pairKey(fromChain, fromToken.address, toToken.address)];
+    if (pair !== undefined) return pair;
+    if (tokenClass(fromToken) === 'stable' && tokenClass(toToken) === 'stable') return POLICY.stableToStableBps;
+    const chain = POLICY.chains[fromChain];
+    const base = chain !== undefined ? chain : POLICY.defaultBps;
+    const tier = POLICY.tiers.find(t => amountUSD >= t.minUsd);
+    return tier ? Math.min(tier.bps, base) : base;
+}
+
+/**
+ * Fee for one swap, in every unit the providers ask for:
+ * `bps` (0x, Jupiter), `percent` (1inch, OKX), `fraction` (LiFi).
+ */
+function resolveFee(swap) {
+    const bps = resolveBps(swap);
+    return { bps, percent: bps / 100, fraction: bps / 10000, recipient: FEE_RECEIVER };
+}
+
+// For quotes from providers that cannot route a fee to us
+const NO_FEE = { bps: 0, percent: 0, fraction: 0, recipient: null };
+
+// Fee taken out of a net output amount: gross = net / (1 - f), fee = gross - net
+function feeFromNetOutput(toAmount, fee, toPriceUSD) {
+    const net = new BigNumber(toAmount || 0);
+    const amount = fee.fraction >= 1 ? new BigNumber(0) : net.div(1 - fee.fraction).minus(net);
+    return { amount: amount.toFixed(6), usd: amount.multipliedBy(toPriceUSD || 0).toFixed(2) };
+}
+
+// Fee taken out of the input amount before it is swapped: fee = input * f
+function feeFromInput(fromAmount, fee, fromPriceUSD) {
+    const amount = new BigNumber(fromAmount || 0).multipliedBy(fee.fraction);
+    return { amount: amount.toFixed(6), usd: amount.multipliedBy(fromPriceUSD || 0).toFixed(2) };
+}
+
+module.exports = { POLICY, NO_FEE, resolveFee, feeFromNetOutput, feeFromInput, pairKey };
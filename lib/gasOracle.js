@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+const { getRpcProvider } = require('./rpc');
+const { createTtlCache } = require('./cache');
+const { calculateFiatFee } = require('./utils');
+const { log } = require('./logger');
+const { chainById } = require('./networks');
+
+// Last resort when a chain has no RPC configured or the node is down: the registry's
+// staticGasPrice, else this
+const DEFAULT_STATIC_GAS_PRICE = "3000000000";
+
+// Priority-fee percentiles sampled from recent blocks for each tier
+const TIERS = { slow: 10, normal: 50, fast: 90 };
+const FEE_HISTORY_BLOCKS = 10;
+
+// Rollups by the registry's l1DataFee: OP Stack chains price calldata through the
+// GasPriceOracle predeploy, Arbitrum through NodeInterface
+const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+const ARB_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+const opOracle = new ethers.Interface(['function getL1Fee(bytes) view returns (uint256)']);
+const arbNodeInterface = new ethers.Interface([
+    'function gasEstimateL1Component(address to, bool contractCreation, bytes data) returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+]);
+
+const cache = createTtlCache({ ttl: Number(process.env.GAS_ORACLE_TTL_MS || 5000) });
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+function legacyFees(gasPrice, source) {
+    const price = gasPrice.toString();
+    const tier = { gasPrice: price, effectiveGasPrice: price };
+    return { eip1559: false, source, baseFeePerGas: null, slow: tier, normal: tier, fast: tier };
+}
+
+async function fetchFees(provider) {
+    try {
+        const history = await provider.send('eth_feeHistory', [ethers.toQuantity(FEE_HISTORY_BLOCKS), 'latest', Object.values(TIERS)]);
+        // The last baseFeePerGas entry is the one predicted for the next block
+        const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+        const rewards = (history.reward || []).filter(r => r.length === 3);
+        if (!rewards.length) throw new Error('empty fee history');
+
+        const fees = { eip1559: true, source: 'rpc', baseFeePerGas: baseFee.toString() };
+        Object.keys(TIERS).forEach((name, i) => {
+            const priority = median(rewards.map(r => BigInt(r[i])));
+            fees[name] = {
+                maxPriorityFeePerGas: priority.toString(),
+                // Headroom for the base fee doubling before inclusion
+                maxFeePerGas: (baseFee * 2n + priority).toString(),
+                effectiveGasPrice: (baseFee + priority).toString()
+            };
+        });
+        return fees;
+    } catch (e) {
+        // Chains (or nodes) without EIP-1559 support
+        return legacyFees(BigInt(await provider.send('eth_gasPrice', [])), 'rpc');
+    }
+}
+
+/**
+ * Gas price tiers for a chain, cached for GAS_ORACLE_TTL_MS (5s). EIP-1559 chains get
+ * `{ maxFeePerGas, maxPriorityFeePerGas, effectiveGasPrice }` per tier, others `{ gasPrice }`.
+ * All amounts are decimal wei strings; `effectiveGasPrice` is what a tx is expected to pay.
+ */
+async function getGasFees(chainId) {
+    const cached = cache.get(chainId);
+    if (cached) return cached;
+
+    const provider = getRpcProvider(chainId);
+    let fees = null;
+    if (provider) {
+        try {
+            fees = await fetchFees(provider);
+        } catch (e) {
+            log.warn('gas oracle failed', { chainId, err: e });
+        }
+    }
+    fees = { ...(fees || legacyFees(chainById(chainId)?.staticGasPrice || DEFAULT_STATIC_GAS_PRICE, 'static')), chainId };
+    // Static fallbacks are cheap to rebuild; keep retrying the RPC instead of caching them
+    if (fees.source === 'rpc') cache.set(chainId, fees);
+    return fees;
+}
+
+/**
+ * L1 data fee in wei an L2 tx pays on top of its execution gas; 0n on L1s or when
+ * it cannot be determined.
+ */
+async function getL1DataFee(chainId, tx) {
+    const provider = getRpcProvider(chainId);
+    if (!provider || !tx?.to || !tx.data) return 0n;
+    const l1DataFee = chainById(chainId)?.l1DataFee;
+    try {
+        if (l1DataFee === 'op-stack') {
+            // The oracle prices the unsigned RLP-encoded tx; signature bytes are already accounted for
+            const unsigned = ethers.Transaction.from({
+                type: 2, chainId, nonce: 0, to: tx.to, data: tx.data,
+                value: tx.value ? BigInt(tx.value) : 0n, gasLimit: tx.gasLimit ? BigInt(tx.gasLimit) : 0n
+            }).unsignedSerialized;
+            const result = await provider.call({ to: OP_GAS_PRICE_ORACLE, data: opOracle.encodeFunctionData('getL1Fee', [unsigned]) });
+            return opOracle.decodeFunctionResult('getL1Fee', result)[0];
+        }
+        if (l1DataFee === 'arbitrum') {
+            const result = await provider.call({
+                to: ARB_NODE_INTERFACE,
+                data: arbNodeInterface.encodeFunctionData('gasEstimateL1Component', [tx.to, false, tx.data])
+            });
+            const [gasForL1, baseFee] = arbNodeInterface.decodeFunctionResult('gasEstimateL1Component', result);
+            return gasForL1 * baseFee;
+        }
+    } catch (e) {
+        log.warn('L1 fee lookup failed', { chainId, err: e });
+    }
+    return 0n;
+}
+
+/**
+ * USD network fee of `tx` using the live `normal` tier, falling back to the provider's
+ * own `gasPrice`, plus the L1 data fee on rollups.
+ */
+async function estimateNetworkFeeUSD({ chainId, tx, gasLimit, gasPrice, nativePriceUSD }) {
+    const [fees, l1Fee] = await Promise.all([getGasFees(chainId), getL1DataFee(chainId, tx)]);
+    const price = fees.source === 'rpc' || !gasPrice ? fees.normal.effectiveGasPrice : gasPrice;
+    return calculateFiatFee(gasLimit, price, nativePriceUSD, l1Fee.toString());
+}
+
+/**
+ * Fee fields for a wallet tx at `tier`: EIP-1559 fields where the chain supports them
+ * (any legacy gasPrice from the provider is dropped, wallets reject both), else gasPrice.
+ * Null without live RPC fees: a static fallback is a guess, the provider's price is not.
+ */
+async function feeFieldsFor(chainId, tier = 'normal') {
+    const fees = await getGasFees(chainId);
+    if (fees.source !== 'rpc') return null;
+    const t = fees[TIERS[tier] ? tier : 'normal'];
+    return fees.eip1559
+        ? { maxFeePerGas: t.maxFeePerGas, maxPriorityFeePerGas: t.maxPriorityFeePerGas }
+        : { gasPrice: t.gasPrice };
+}
+
+module.exports = { TIERS, getGasFees, getL1DataFee, estimateNetworkFeeUSD, feeFieldsFor };
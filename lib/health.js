@@ -0,0 +1,97 @@
+const { classifyError } = require('./utils');
+const { log } = require('./logger');
+
+// Latency/success stats are kept over the last WINDOW quote calls per provider and network
+const WINDOW = Number(process.env.HEALTH_WINDOW || 50);
+// Consecutive provider-side failures that open the breaker, and how long it stays open
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD || 5);
+const COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 60000);
+
+// Failures that say the provider is unwell. Bad input, "no route" or a cancelled request do not.
+const TRIPPING_REASONS = ['rate_limited', 'upstream_5xx', 'timeout', 'network'];
+
+const stats = new Map();
+
+const keyOf = (providerId, networkId) => `${providerId}|${networkId}`;
+
+function entryFor(providerId, networkId) {
+    const key = keyOf(providerId, networkId);
+    if (!stats.has(key)) {
+        stats.set(key, { providerId, networkId, samples: [], consecutiveFailures: 0, lastError: null, openUntil: 0 });
+    }
+    return stats.get(key);
+}
+
+// closed: normal; open: skipped until the cooldown ends; half-open: cooled down, next result decides
+function breakerState(entry, now = Date.now()) {
+    if (!entry.openUntil) return 'closed';
+    return now < entry.openUntil ? 'open' : 'half-open';
+}
+
+function isAvailable(providerId, networkId) {
+    const entry = stats.get(keyOf(providerId, networkId));
+    return !entry || breakerState(entry) !== 'open';
+}
+
+/**
+ * Records one quote call. Pass `error` for failures; a null quote ("no route") is a success.
+ * Aborted calls say nothing about the provider and are ignored.
+ */
+function record(providerId, networkId, { latencyMs, error = null }) {
+    const reason = error ? classifyError(error) : null;
+    if (reason === 'aborted') return;
+
+    const entry = entryFor(providerId, networkId);
+    entry.samples.push({ ok: !error, latencyMs, at: Date.now() });
+    if (entry.samples.length > WINDOW) entry.samples.shift();
+
+    if (error) entry.lastError = { reason, message: error.message, at: new Date().toISOString() };
+    // Any answer from the provider, even a rejection of this request, shows it is up
+    if (!error || !TRIPPING_REASONS.includes(reason)) {
+        entry.consecutiveFailures = 0;
+        entry.openUntil = 0;
+        return;
+    }
+
+    entry.consecutiveFailures += 1;
+    // A failed trial call in half-open reopens straight away
+    if (entry.consecutiveFailures >= FAILURE_THRESHOLD || breakerState(entry) === 'half-open') {
+        entry.openUntil = Date.now() + COOLDOWN_MS;
+        log.warn('breaker open', { provider: providerId, networkId, reason, cooldownMs: COOLDOWN_MS });
+    }
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Networks on which the provider is currently skipped
+function disabledNetworks(providerId) {
+    return [...stats.values()]
+        .filter(e => e.providerId === providerId && breakerState(e) === 'open')
+        .map(e => e.networkId);
+}
+
+function report() {
+    const now = Date.now();
+    return [...stats.values()].map(e => {
+        const latencies = e.samples.map(s => s.latencyMs).sort((a, b) => a - b);
+        const okCount = e.samples.filter(s => s.ok).length;
+        const state = breakerState(e, now);
+        return {
+            provider: e.providerId,
+            networkId: e.networkId,
+            samples: e.samples.length,
+            successRate: e.samples.length ? Number((okCount / e.samples.length).toFixed(4)) : null,
+            p50LatencyMs: percentile(latencies, 0.5),
+            p95LatencyMs: percentile(latencies, 0.95),
+            consecutiveFailures: e.consecutiveFailures,
+            lastError: e.lastError,
+            breaker: state,
+            openUntil: state === 'open' ? new Date(e.openUntil).toISOString() : null
+        };
+    });
+}
+
+module.exports = { FAILURE_THRESHOLD, COOLDOWN_MS, isAvailable, record, disabledNetworks, report };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const BigNumber = require('bignumber.js');
+const { log } = require('./logger');
+
+// Append-only JSONL, one line per transaction handed out by build-tx
+const LEDGER_FILE = process.env.FEE_LEDGER_FILE || path.join(__dirname, '..', 'data', 'fee-ledger.jsonl');
+
+const CSV_COLUMNS = [
+    'timestamp', 'quoteId', 'eventId', 'provider', 'fromNetworkId', 'toNetworkId',
+    'fromToken', 'fromSymbol', 'toToken', 'toSymbol', 'fromAmount', 'toAmount',
+    'feeBps', 'feeAmount', 'feeSymbol', 'feeUsd', 'userAddress', 'feeNetworkId', 'feeToken'
+];
+
+function entryFromQuote(quoteResultCtx, userAddress) {
+    const { fromTokenInfo, toTokenInfo, integratorFee } = quoteResultCtx;
+    return {
+        timestamp: new Date().toISOString(),
+        quoteId: quoteResultCtx.quoteId,
+        eventId: quoteResultCtx.eventId,
+        provider: quoteResultCtx.providerId,
+        fromNetworkId: fromTokenInfo.networkId,
+        toNetworkId: toTokenInfo.networkId,
+        fromToken: fromTokenInfo.contractAddress,
+        fromSymbol: fromTokenInfo.symbol,
+        toToken: toTokenInfo.contractAddress,
+        toSymbol: toTokenInfo.symbol,
+        fromAmount: quoteResultCtx.fromAmount,
+        toAmount: quoteResultCtx.toAmount,
+        feeBps: integratorFee.bps,
+        feeAmount: integratorFee.amount,
+        feeSymbol: integratorFee.symbol,
+        feeUsd: integratorFee.usd,
+        userAddress: userAddress || null,
+        feeNetworkId: integratorFee.networkId,
+        feeToken: integratorFee.tokenAddress
+    };
+}
+
+// Never fails the swap: a lost ledger line is logged, not thrown
+async function record(entry) {
+    try {
+        await fs.promises.mkdir(path.dirname(LEDGER_FILE), { recursive: true });
+        await fs.promises.appendFile(LEDGER_FILE, JSON.stringify(entry) + '\n');
+    } catch (e) {
+        log.error('ledger write failed', { err: e, entry });
+    }
+}
+
+// Entries with from <= timestamp < to (ISO strings, both optional)
+async function readEntries({ from, to } = {}) {
+    if (!fs.existsSync(LEDGER_FILE)) return [];
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(LEDGER_FILE), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (from && entry.timestamp < from) continue;
+            if (to && entry.timestamp >= to) continue;
+            entries.push(entry);
+        } catch {
+            log.warn('skipping malformed ledger line');
+        }
+    }
+    return entries;
+}
+
+const GROUP_KEYS = {
+    day: (e) => e.timestamp.slice(0, 10),
+    provider: (e) => e.provider,
+    chain: (e) => e.fromNetworkId,
+    // Lines written before feeNetworkId always charged the output token
+    token: (e) => `${e.feeNetworkId || e.toNetworkId}:${e.feeSymbol}`
+};
+
+// Revenue per group: swap count, fee USD and fee amount in the fee token (token grouping only)
+function aggregate(entries, groupBy) {
+    const keyOf = GROUP_KEYS[groupBy];
+    if (!keyOf) throw new Error(`Unknown groupBy "${groupBy}", expected one of ${Object.keys(GROUP_KEYS).join(', ')}`);
+    const groups = new Map();
+    for (const e of entries) {
+        const key = keyOf(e);
+        const g = groups.get(key) || { key, count: 0, feeUsd: new BigNumber(0), feeAmount: new BigNumber(0) };
+        g.count += 1;
+        g.feeUsd = g.feeUsd.plus(e.feeUsd || 0);
+        g.feeAmount = g.feeAmount.plus(e.feeAmount || 0);
+        groups.set(key, g);
+    }
+    return [...groups.values()]
+        .sort((a, b) => (a.key < b.key ? -1 : 1))
+        .map(g => ({
+            key: g.key,
+            count: g.count,
+            feeUsd: g.feeUsd.toFixed(2),
+            ...(groupBy === 'token' ? { feeAmount: g.feeAmount.toFixed() } : {})
+        }));
+}
+
+function csvCell(value) {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(entries) {
+    const rows = entries.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { LEDGER_FILE, GROUP_KEYS, entryFromQuote, record, readEntries, aggregate, toCsv };
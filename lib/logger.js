@@ -0,0 +1,45 @@
+const { classifyError } = require('./utils');
+
+// LOG_LEVEL=debug|info|warn|error|silent, info by default
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const THRESHOLD = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Errors become { message, code, reason, status } so log queries can group by failure class
+function serializeError(e) {
+    if (!(e instanceof Error)) return e;
+    return {
+        message: e.message,
+        code: e.code,
+        reason: classifyError(e),
+        status: e.response?.status
+    };
+}
+
+function write(level, bindings, msg, fields = {}) {
+    if (LEVELS[level] < THRESHOLD) return;
+    const line = { time: new Date().toISOString(), level, msg, ...bindings };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) line[key] = key === 'err' ? serializeError(value) : value;
+    }
+    console.log(JSON.stringify(line, (_, v) => (typeof v === 'bigint' ? v.toString() : v)));
+}
+
+/**
+ * JSON-lines logger: `log.info('quote received', { provider, latencyMs })` prints one object
+ * with time, level, msg, the logger's bindings and the fields. `child({ requestId })` adds
+ * bindings, so every line of one request carries its id.
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: (extra) => createLogger({ ...bindings, ...extra })
+    };
+}
+
+// Process-wide logger; request handlers use log.child({ requestId })
+const log = createLogger();
+
+module.exports = { LEVELS, log, createLogger };
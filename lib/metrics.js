@@ -0,0 +1,80 @@
+// Minimal Prometheus registry: counters, histograms and scrape-time gauges rendered in
+// the text exposition format by GET /metrics. Metric names carry the bitrabo_ prefix.
+const metrics = [];
+
+// Seconds; upstream calls range from a cached 0x price to a slow bridge route
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'counter',
+        inc(labels, n = 1) {
+            const key = labelKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + n);
+        },
+        lines: () => [...series].map(([key, v]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${v}`)
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'histogram',
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const s = series.get(key);
+            buckets.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+            s.sum += value;
+            s.count += 1;
+        },
+        lines: () => [...series].flatMap(([key, s]) => {
+            const values = JSON.parse(key);
+            return [
+                ...buckets.map((le, i) => `${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${s.counts[i]}`),
+                `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`,
+                `${name}_sum${formatLabels(labelNames, values)} ${Number(s.sum.toFixed(6))}`,
+                `${name}_count${formatLabels(labelNames, values)} ${s.count}`
+            ];
+        })
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * Value read from elsewhere at scrape time: `collect()` returns [{ labels, value }].
+ * `type` is 'gauge', or 'counter' for totals another module already keeps.
+ */
+function collected(name, help, labelNames, collect, type = 'gauge') {
+    const metric = {
+        name, help, type,
+        lines: () => collect().map(({ labels, value }) => `${name}${formatLabels(labelNames, labelNames.map(n => labels?.[n] ?? ''))} ${value}`)
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+// Seconds since `started` (a Date.now() value), for histogram observations
+const secondsSince = (started) => (Date.now() - started) / 1000;
+
+function render() {
+    return metrics.map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n')).join('\n') + '\n';
+}
+
+module.exports = { LATENCY_BUCKETS, counter, histogram, collected, secondsSince, render };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+const SOLANA_NETWORK_ID = "sol--101";
+const SOLANA_CHAIN_ID = 101;
+
+const SWAP_MODES = ['singleSwap', 'crossChain'];
+
+/*
+ * Chain registry: lib/chains.json, or the file at CHAINS_FILE with the same layout.
+ * Per chain: networkId, chainId (EVM and Solana), network, name, nativeToken
+ * { symbol, decimals }, rpcUrls (tried in order, see rpc.js; RPC_URL_<chainId> overrides),
+ * explorerUrl, indexerSupported, optional staticGasPrice (wei, gas oracle fallback) and
+ * l1DataFee ("op-stack" or "arbitrum" rollups), and `providers`: provider id -> the
+ * modes it serves there, e.g. { "SwapLifi": ["singleSwap", "crossChain"] }.
+ * A new EVM chain the aggregators already support is one more entry.
+ */
+function loadChains() {
+    const file = process.env.CHAINS_FILE || path.join(__dirname, 'chains.json');
+    const { chains = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    chains.forEach(c => {
+        const badMode = Object.values(c.providers || {}).flat().find(mode => !SWAP_MODES.includes(mode));
+        const problem = !c.networkId ? 'networkId is missing'
+            : !c.nativeToken?.symbol || !Number.isInteger(c.nativeToken.decimals) ? 'nativeToken needs symbol and decimals'
+            : isEvmNetwork(c.networkId) && c.chainId !== chainIdOf(c.networkId) ? `chainId must be ${chainIdOf(c.networkId)}`
+            : badMode && `unknown provider mode "${badMode}", expected ${SWAP_MODES.join(' or ')}`;
+        if (problem) throw new Error(`Chain ${c.networkId || chains.indexOf(c)} in ${file}: ${problem}`);
+    });
+    return chains;
+}
+
+function isEvmNetwork(networkId) {
+    return typeof networkId === 'string' && networkId.startsWith('evm--');
+}
+
+// "evm--56" -> 56, "sol--101" -> 101
+function chainIdOf(networkId) {
+    return parseInt(networkId.split('--')[1]);
+}
+
+const CHAINS = loadChains();
+
+// Network objects as the wallet expects them in providers/list
+const SUPPORTED_NETWORKS = CHAINS.map(c => ({
+    networkId: c.networkId, network: c.network, name: c.name,
+    symbol: c.nativeToken.symbol, decimals: c.nativeToken.decimals, indexerSupported: Boolean(c.indexerSupported)
+}));
+
+const EVM_NETWORK_IDS = SUPPORTED_NETWORKS.map(n => n.networkId).filter(isEvmNetwork);
+
+// Chains whose only asset is the native coin (no token contracts or mints)
+function isNativeOnlyNetwork(networkId) {
+    return !isEvmNetwork(networkId) && networkId !== SOLANA_NETWORK_ID;
+}
+
+function getNetwork(networkId) {
+    return SUPPORTED_NETWORKS.find(n => n.networkId === networkId);
+}
+
+function networksByIds(ids) {
+    return SUPPORTED_NETWORKS.filter(n => ids.includes(n.networkId));
+}
+
+// Full registry entry by network id, or by chain id for EVM and Solana
+function getChain(networkId) {
+    return CHAINS.find(c => c.networkId === networkId);
+}
+
+function chainById(chainId) {
+    return CHAINS.find(c => c.chainId === chainId);
+}
+
+// Network ids where `providerId` serves `mode` ('singleSwap' or 'crossChain')
+function providerNetworks(providerId, mode) {
+    return CHAINS.filter(c => c.providers?.[providerId]?.includes(mode)).map(c => c.networkId);
+}
+
+module.exports = {
+    SOLANA_NETWORK_ID, SOLANA_CHAIN_ID, SWAP_MODES, CHAINS, SUPPORTED_NETWORKS, EVM_NETWORK_IDS,
+    isEvmNetwork, isNativeOnlyNetwork, getNetwork, chainIdOf, networksByIds, getChain, chainById, providerNetworks
+};
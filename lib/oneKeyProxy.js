@@ -0,0 +1,157 @@
+const axios = require('axios');
+const { createTtlCache } = require('./cache');
+const metrics = require('./metrics');
+const { classifyError } = require('./utils');
+const { ERROR_CODES, SwapError } = require('./errors');
+
+/*
+ * Fallback for /swap/v1 paths this server does not implement, forwarded to OneKey.
+ *   ONEKEY_PROXY_TARGET      upstream origin (https://swap.onekeycn.com)
+ *   ONEKEY_PROXY_ALLOW       comma-separated "METHOD /path" rules; a trailing * matches any
+ *                            suffix and a bare path any method. Unset or empty forwards nothing:
+ *                            list the endpoints the wallet still needs ("*" forwards everything).
+ *                            Refused paths are logged and counted in the traffic report.
+ *   ONEKEY_PROXY_CACHE       rules for static GETs (token lists, network config) whose 2xx
+ *                            answers are cached for ONEKEY_PROXY_CACHE_TTL_MS (60s)
+ *   ONEKEY_PROXY_TIMEOUT_MS  per attempt (10s)
+ *   ONEKEY_PROXY_RETRIES     extra attempts for GETs after a timeout, network error or 5xx (1)
+ * e.g. ONEKEY_PROXY_ALLOW="GET /swap/v1/token-list*,POST /swap/v1/fetch-swap-history"
+ */
+const TARGET = (process.env.ONEKEY_PROXY_TARGET || 'https://swap.onekeycn.com').replace(/\/$/, '');
+const TIMEOUT_MS = Number(process.env.ONEKEY_PROXY_TIMEOUT_MS || 10000);
+const RETRIES = Number(process.env.ONEKEY_PROXY_RETRIES ?? 1);
+const CACHE_TTL_MS = Number(process.env.ONEKEY_PROXY_CACHE_TTL_MS || 60000);
+// Distinct method+path pairs kept in the traffic report; scanners must not grow it forever
+const MAX_TRACKED_PATHS = 500;
+// Cached responses are keyed by query too, so any number of distinct ones can arrive
+const MAX_CACHED_RESPONSES = 1000;
+
+function parseRules(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const [method, pattern] = entry.includes(' ') ? entry.split(/\s+/, 2) : ['*', entry];
+        return { rule: entry, method: method.toUpperCase(), pattern };
+    });
+}
+
+const ALLOW = parseRules(process.env.ONEKEY_PROXY_ALLOW);
+const CACHED = parseRules(process.env.ONEKEY_PROXY_CACHE);
+
+function matches({ method, pattern }, reqMethod, path) {
+    if (method !== '*' && method !== reqMethod) return false;
+    if (pattern === '*') return true;
+    return pattern.endsWith('*') ? path.startsWith(pattern.slice(0, -1)) : path === pattern;
+}
+
+// Only what OneKey needs to answer: no cookies, credentials, our API keys or client IPs
+const FORWARD_HEADERS = ['accept', 'accept-language', 'content-type', 'user-agent'];
+const FORWARD_HEADER_PREFIX = 'x-onekey-';
+const RETURN_HEADERS = ['content-type', 'cache-control', 'etag', 'last-modified'];
+
+function pickHeaders(headers, names, prefix) {
+    return Object.fromEntries(Object.entries(headers)
+        .filter(([name, value]) => value !== undefined && (names.includes(name.toLowerCase()) || (prefix && name.toLowerCase().startsWith(prefix)))));
+}
+
+const cache = createTtlCache({ ttl: CACHE_TTL_MS });
+const traffic = new Map();
+const requests = metrics.counter('bitrabo_proxy_requests_total',
+    'Requests to the OneKey fallback proxy by allow rule and outcome', ['rule', 'method', 'outcome']);
+const latency = metrics.histogram('bitrabo_proxy_latency_seconds', 'OneKey upstream latency, retries included', ['rule']);
+
+function track(method, path, rule, outcome, status) {
+    requests.inc({ rule: rule || 'none', method, outcome });
+    const key = `${method} ${path}`;
+    if (!traffic.has(key)) {
+        if (traffic.size >= MAX_TRACKED_PATHS) return;
+        traffic.set(key, { method, path, rule: rule || null, total: 0, outcomes: {}, lastStatus: null, lastSeen: null });
+    }
+    const t = traffic.get(key);
+    t.total += 1;
+    t.outcomes[outcome] = (t.outcomes[outcome] || 0) + 1;
+    if (status) t.lastStatus = status;
+    t.lastSeen = new Date().toISOString();
+}
+
+const retryable = (e) => ['timeout', 'network', 'upstream_5xx'].includes(classifyError(e));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function send(req, url) {
+    const attempts = req.method === 'GET' || req.method === 'HEAD' ? 1 + RETRIES : 1;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await axios.request({
+                method: req.method,
+                url,
+                headers: pickHeaders(req.headers, FORWARD_HEADERS, FORWARD_HEADER_PREFIX),
+                data: Buffer.isBuffer(req.body) && req.body.length ? req.body : undefined,
+                responseType: 'arraybuffer',
+                timeout: TIMEOUT_MS,
+                // OneKey's own 4xx/5xx answers go back to the wallet as they are
+                validateStatus: (status) => status < 500 || attempt >= attempts,
+                maxRedirects: 0
+            });
+        } catch (e) {
+            if (attempt >= attempts || !retryable(e)) throw e;
+            req.log.warn('OneKey proxy retry', { path: req.path, attempt, err: e });
+            await sleep(200 * attempt);
+        }
+    }
+}
+
+/**
+ * Forwards `req` (body as a raw Buffer) to OneKey. Resolves `{ status, headers, body }`;
+ * throws a SwapError with an HTTP `status` when the path is not allowed (404) or OneKey
+ * cannot be reached (502, 504 on timeout).
+ */
+async function forward(req) {
+    const path = req.baseUrl + req.path;
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    const rule = ALLOW.find(r => matches(r, req.method, path));
+    if (!rule) {
+        track(req.method, path, null, 'blocked');
+        req.log.info('OneKey proxy blocked', { method: req.method, path });
+        throw Object.assign(new SwapError(ERROR_CODES.ROUTE_NOT_FOUND, `${req.method} ${path} is not supported`), { status: 404 });
+    }
+
+    const cacheable = req.method === 'GET' && CACHED.some(r => matches(r, req.method, path));
+    const cacheKey = `${path}${query}|${req.get('accept-language') || ''}`;
+    const hit = cacheable ? cache.get(cacheKey) : undefined;
+    if (hit) {
+        track(req.method, path, rule.rule, 'cached', hit.status);
+        return hit;
+    }
+
+    const started = Date.now();
+    try {
+        const resp = await send(req, `${TARGET}${path}${query}`);
+        const reply = { status: resp.status, headers: pickHeaders(resp.headers, RETURN_HEADERS), body: Buffer.from(resp.data) };
+        track(req.method, path, rule.rule, resp.status >= 500 ? 'upstream_5xx' : resp.status >= 400 ? 'upstream_4xx' : 'ok', resp.status);
+        if (cacheable && resp.status < 300) {
+            if (cache.size() >= MAX_CACHED_RESPONSES) cache.prune();
+            if (cache.size() < MAX_CACHED_RESPONSES) cache.set(cacheKey, reply);
+        }
+        req.log.info('proxied to OneKey', { method: req.method, path, status: resp.status, latencyMs: Date.now() - started });
+        return reply;
+    } catch (e) {
+        const reason = classifyError(e);
+        track(req.method, path, rule.rule, reason);
+        req.log.warn('OneKey proxy failed', { method: req.method, path, err: e });
+        throw Object.assign(new SwapError(ERROR_CODES.PROXY_UNAVAILABLE, 'Upstream service unavailable, please retry'),
+            { status: reason === 'timeout' ? 504 : 502 });
+    } finally {
+        latency.observe({ rule: rule.rule }, metrics.secondsSince(started));
+    }
+}
+
+// Forwarded traffic per method and path, busiest first, plus the active configuration
+function report() {
+    return {
+        target: TARGET,
+        allow: ALLOW.map(r => r.rule),
+        cached: CACHED.map(r => r.rule),
+        cacheTtlMs: CACHE_TTL_MS,
+        paths: [...traffic.values()].sort((a, b) => b.total - a.total)
+    };
+}
+
+module.exports = { TARGET, forward, report };
@@ -0,0 +1,80 @@
+const BigNumber = require('bignumber.js');
+
+// Percent thresholds: `warning`/`high` label a quote, above MAX_PCT it is dropped outright
+const WARN_PCT = Number(process.env.PRICE_IMPACT_WARN_PCT || 3);
+const HIGH_PCT = Number(process.env.PRICE_IMPACT_HIGH_PCT || 10);
+const MAX_PCT = Number(process.env.PRICE_IMPACT_MAX_PCT || 30);
+// A quote whose output is this many percent off the providers' median is rejected
+const OUTLIER_PCT = Number(process.env.RATE_OUTLIER_PCT || 20);
+
+/**
+ * Percent of the input's USD value that does not come out the other side, fees included.
+ * null when either token has no USD price.
+ */
+function usdPriceImpact(fromAmount, fromPriceUSD, toAmount, toPriceUSD) {
+    if (!fromPriceUSD || !toPriceUSD) return null;
+    const inUSD = new BigNumber(fromAmount).multipliedBy(fromPriceUSD);
+    if (!inUSD.gt(0)) return null;
+    const outUSD = new BigNumber(toAmount).multipliedBy(toPriceUSD);
+    return Number(new BigNumber(1).minus(outUSD.div(inUSD)).multipliedBy(100).toFixed(2));
+}
+
+// Our USD-based figure, so every provider is measured the same way; the provider's own when prices are missing
+function priceImpactOf(data, ctx) {
+    const usd = usdPriceImpact(ctx.params.fromTokenAmount, ctx.fromToken.priceUSD, data.toAmount, ctx.toPriceUSD);
+    if (usd !== null) return usd;
+    return Number.isFinite(data.priceImpact) ? Number(data.priceImpact.toFixed(2)) : null;
+}
+
+function impactLevel(impact) {
+    if (impact === null || impact === undefined) return 'unknown';
+    if (impact >= HIGH_PCT) return 'high';
+    if (impact >= WARN_PCT) return 'warning';
+    return 'normal';
+}
+
+function tooHigh(impact) {
+    return impact !== null && impact !== undefined && impact > MAX_PCT;
+}
+
+function priceImpactTooHigh(impact) {
+    const err = new Error(`Price impact ${impact}% is above the ${MAX_PCT}% limit`);
+    err.code = 'PRICE_IMPACT_TOO_HIGH';
+    return err;
+}
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a.comparedTo(b));
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : sorted[mid - 1].plus(sorted[mid]).div(2);
+};
+
+/**
+ * Splits `entries` ({ quote: { toAmount } }) into those in line with the market and those
+ * whose output is more than OUTLIER_PCT away from the median, either way: a wildly better
+ * rate is as suspect as a wildly worse one. With three or more quotes a single bad one
+ * cannot move the median, so it is judged against the others; with fewer there is no majority.
+ */
+function splitRateOutliers(entries) {
+    if (entries.length < 3) return { kept: entries, outliers: [] };
+    const amounts = entries.map(e => new BigNumber(e.quote.toAmount));
+    const mid = median(amounts);
+    const kept = [];
+    const outliers = [];
+    entries.forEach((e, i) => {
+        const deviation = mid.gt(0) ? amounts[i].minus(mid).abs().div(mid).multipliedBy(100) : new BigNumber(0);
+        if (deviation.gt(OUTLIER_PCT)) {
+            const err = new Error(`Output is ${deviation.toFixed(1)}% away from the other providers`);
+            err.code = 'RATE_OUTLIER';
+            outliers.push({ entry: e, error: err });
+        } else {
+            kept.push(e);
+        }
+    });
+    return { kept, outliers };
+}
+
+module.exports = {
+    WARN_PCT, HIGH_PCT, MAX_PCT, OUTLIER_PCT,
+    usdPriceImpact, priceImpactOf, impactLevel, tooHigh, priceImpactTooHigh, splitRateOutliers
+};
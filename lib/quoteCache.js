@@ -0,0 +1,104 @@
+const BigNumber = require('bignumber.js');
+const { createTtlCache } = require('./cache');
+const { chainIdOf, isEvmNetwork } = require('./networks');
+const { normalizeAddress } = require('./tokens');
+
+// Long enough to absorb a user typing an amount, short enough that prices stay fresh
+const TTL_MS = Number(process.env.QUOTE_CACHE_TTL_MS || 5000);
+const PRUNE_ABOVE = 500;
+
+const cache = createTtlCache({ ttl: TTL_MS });
+const inflight = new Map();
+const counters = { hits: 0, misses: 0, coalesced: 0 };
+
+/**
+ * Cache key for a quote request. Quotes carry calldata built for one wallet, so the user
+ * and payout address are part of the key; `shared: true` drops them for price-only lookups.
+ */
+function keyFor(params, { shared = false } = {}) {
+    const account = (address) => (address && isEvmNetwork(params.fromNetworkId) ? address.toLowerCase() : address || '');
+    return [
+        params.fromNetworkId,
+        normalizeAddress(params.fromTokenAddress, chainIdOf(params.fromNetworkId)),
+        params.toNetworkId,
+        normalizeAddress(params.toTokenAddress, chainIdOf(params.toNetworkId)),
+        new BigNumber(params.fromTokenAmount).toFixed(),
+        params.slippage === undefined || params.slippage === '' ? 'auto' : Number(params.slippage),
+        shared ? '*' : account(params.userAddress),
+        shared ? '*' : params.receivingAddress || ''
+    ].join('|');
+}
+
+function startJob(key, produce) {
+    const job = { items: [], listeners: new Set(), subscribers: 0, controller: new AbortController() };
+    const emit = (item) => {
+        job.items.push(item);
+        job.listeners.forEach(listener => listener(item));
+    };
+    job.promise = produce(job.controller.signal, emit)
+        .then(() => {
+            // A fan-out cut short by every client leaving is incomplete; don't serve it to the next one
+            if (job.controller.signal.aborted) return;
+            if (cache.size() > PRUNE_ABOVE) cache.prune();
+            cache.set(key, job.items);
+        })
+        .finally(() => inflight.delete(key));
+    inflight.set(key, job);
+    return job;
+}
+
+/**
+ * Runs `produce(signal, emit)` once per key: identical requests within TTL_MS replay its
+ * items from the cache, concurrent ones subscribe to the fan-out already in flight.
+ * `onItem` sees every item, replayed ones first. The upstream work is cancelled only
+ * once every subscriber's `signal` has aborted. Rejects when `produce` does.
+ */
+function shared(key, produce, { onItem = () => {}, signal } = {}) {
+    const cached = cache.get(key);
+    if (cached) {
+        counters.hits += 1;
+        cached.forEach(onItem);
+        return Promise.resolve();
+    }
+
+    if (signal?.aborted) return Promise.resolve();
+
+    let job = inflight.get(key);
+    if (job) {
+        counters.coalesced += 1;
+    } else {
+        counters.misses += 1;
+        job = startJob(key, produce);
+    }
+
+    job.items.forEach(onItem);
+    job.listeners.add(onItem);
+    job.subscribers += 1;
+
+    return new Promise((resolve, reject) => {
+        const leave = () => {
+            job.listeners.delete(onItem);
+            job.subscribers -= 1;
+            if (job.subscribers === 0) job.controller.abort();
+            resolve();
+        };
+        signal?.addEventListener('abort', leave, { once: true });
+        job.promise.then(
+            () => { signal?.removeEventListener('abort', leave); job.listeners.delete(onItem); resolve(); },
+            (e) => { signal?.removeEventListener('abort', leave); job.listeners.delete(onItem); reject(e); }
+        );
+    });
+}
+
+function stats() {
+    const lookups = counters.hits + counters.misses + counters.coalesced;
+    return {
+        ...counters,
+        hitRate: lookups ? Number(((counters.hits + counters.coalesced) / lookups).toFixed(4)) : null,
+        entries: cache.size(),
+        inflight: inflight.size,
+        ttlMs: TTL_MS
+    };
+}
+
+module.exports = { TTL_MS, keyFor, shared, stats };
@@ -0,0 +1,73 @@
+const { createTtlCache } = require('./cache');
+const { log } = require('./logger');
+
+const QUOTE_TTL_MS = Number(process.env.QUOTE_TTL_MS || 120000);
+
+// Records outlive their expiry by one TTL so build-tx can tell "expired" from "unknown"
+const RETENTION_MS = QUOTE_TTL_MS * 2;
+
+// Multi-step routes keep their record while the user works through bridge steps
+const CONTINUATION_TTL_MS = Number(process.env.CONTINUATION_TTL_MS || 2 * 60 * 60 * 1000);
+
+// Store interface: save(record, retentionMs?), get(quoteId) -> record | null, and
+// claim(key, ttlMs?) -> true for the first caller only, atomically (once-per-quote work).
+// Records are { quoteId, eventId, providerId, userAddress, quoteResultCtx, createdAt,
+// expiresAt, withdrawn?, continuation? }.
+function createMemoryQuoteStore() {
+    const cache = createTtlCache({ ttl: RETENTION_MS });
+    const claims = createTtlCache({ ttl: CONTINUATION_TTL_MS });
+    // Most quotes are never built, so nothing reads them again to evict them
+    setInterval(() => { cache.prune(); claims.prune(); }, QUOTE_TTL_MS).unref();
+    return {
+        async save(record, retentionMs = RETENTION_MS) { cache.set(record.quoteId, record, retentionMs); },
+        async get(quoteId) { return cache.get(quoteId) || null; },
+        async claim(key, ttlMs = CONTINUATION_TTL_MS) {
+            if (claims.get(key)) return false;
+            claims.set(key, true, ttlMs);
+            return true;
+        }
+    };
+}
+
+// Any client with ioredis-style `set(key, value, 'PX', ms[, 'NX'])` and `get(key)`
+function createRedisQuoteStore(client, prefix = 'bitrabo:quote:') {
+    return {
+        async save(record, retentionMs = RETENTION_MS) {
+            await client.set(prefix + record.quoteId, JSON.stringify(record), 'PX', retentionMs);
+        },
+        async get(quoteId) {
+            const raw = await client.get(prefix + quoteId);
+            return raw ? JSON.parse(raw) : null;
+        },
+        async claim(key, ttlMs = CONTINUATION_TTL_MS) {
+            return (await client.set(`${prefix}claim:${key}`, '1', 'PX', ttlMs, 'NX')) === 'OK';
+        }
+    };
+}
+
+// REDIS_URL switches to Redis when `ioredis` is installed; memory otherwise
+function createQuoteStoreFromEnv() {
+    if (!process.env.REDIS_URL) return createMemoryQuoteStore();
+    try {
+        const Redis = require('ioredis');
+        return createRedisQuoteStore(new Redis(process.env.REDIS_URL));
+    } catch (e) {
+        log.warn('REDIS_URL set but ioredis unavailable, using in-memory quote store', { err: e });
+        return createMemoryQuoteStore();
+    }
+}
+
+function buildRecord(formatted, userAddress) {
+    const now = Date.now();
+    return {
+        quoteId: formatted.quoteId,
+        eventId: formatted.eventId,
+        providerId: formatted.info.provider,
+        userAddress: userAddress || null,
+        quoteResultCtx: formatted.quoteResultCtx,
+        createdAt: now,
+        expiresAt: now + QUOTE_TTL_MS
+    };
+}
+
+module.exports = { QUOTE_TTL_MS, CONTINUATION_TTL_MS, createMemoryQuoteStore, createRedisQuoteStore, createQuoteStoreFromEnv, buildRecord };
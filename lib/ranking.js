@@ -0,0 +1,40 @@
+const BigNumber = require('bignumber.js');
+
+const DEFAULT_STRATEGY = 'maxOutput';
+
+// Net received value: output in USD minus gas and protocol fees. Every provider's
+// toAmount is already net of our integrator fee, so it is not taken off again.
+// `fiatFee` already carries any protocol fee the provider bills on top (LiFi),
+// so only the gas part of it is split out for the minGas strategy.
+// Without a USD price for the output token we compare raw output amounts,
+// which is still fair since every quote is for the same token.
+function netValue(q, toPriceUSD) {
+    const out = new BigNumber(q.toAmount || 0);
+    if (!toPriceUSD) return out;
+    return out.multipliedBy(toPriceUSD).minus(q.fiatFee || 0);
+}
+
+const gasUSD = (q) => (q.fiatFee || 0) - (q.protocolFeeUSD || 0);
+
+const STRATEGIES = {
+    maxOutput: (a, b) => b.netValue.comparedTo(a.netValue),
+    minGas: (a, b) => gasUSD(a.quote) - gasUSD(b.quote) || b.netValue.comparedTo(a.netValue),
+    fastest: (a, b) => (a.quote.estimatedTime || 30) - (b.quote.estimatedTime || 30) || b.netValue.comparedTo(a.netValue)
+};
+
+function resolveStrategy(name) {
+    return STRATEGIES[name] ? name : DEFAULT_STRATEGY;
+}
+
+// entries: [{ provider, quote }] -> same entries, best first, each with netValue
+// Quotes kept with a failed simulation (SIMULATION_ON_REVERT=flag) never outrank working ones
+const reverted = (e) => (e.quote.simulation?.status === 'reverted' ? 1 : 0);
+
+function rankQuotes(entries, strategy, { toPriceUSD } = {}) {
+    const compare = STRATEGIES[resolveStrategy(strategy)];
+    return entries
+        .map(e => ({ ...e, netValue: netValue(e.quote, toPriceUSD) }))
+        .sort((a, b) => reverted(a) - reverted(b) || compare(a, b));
+}
+
+module.exports = { DEFAULT_STRATEGY, STRATEGIES, resolveStrategy, netValue, rankQuotes };
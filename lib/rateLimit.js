@@ -0,0 +1,140 @@
+const { log } = require('./logger');
+
+/*
+ * Token buckets per IP and per identified client, kept separately for the request classes
+ * that spend upstream quota: `quote` (quote and price streams), `buildTx` and `lookup`
+ * (allowance and swap status reads).
+ * Limits are "perMinute/burst": the bucket holds `burst` requests and refills at
+ * `perMinute`. "off" disables one. A client's own `limits` (clients.js) replace the
+ * client defaults for its traffic. The per-IP bucket applies to everyone except clients
+ * identified by API key, which often serve many users from one address.
+ *   RATE_LIMIT_QUOTE_IP        60/20       RATE_LIMIT_QUOTE_CLIENT     600/100
+ *   RATE_LIMIT_BUILD_TX_IP     20/5        RATE_LIMIT_BUILD_TX_CLIENT  200/50
+ *   RATE_LIMIT_LOOKUP_IP       120/30      RATE_LIMIT_LOOKUP_CLIENT    1200/200
+ */
+function parseLimit(value) {
+    if (!value || value === 'off') return null;
+    const [perMinute, burst] = String(value).split('/').map(Number);
+    if (!(perMinute > 0)) throw new Error(`Invalid rate limit "${value}", expected perMinute/burst such as 60/20`);
+    return { perMinute, burst: burst > 0 ? burst : perMinute };
+}
+
+const env = (name, fallback) => (process.env[name] === undefined ? fallback : process.env[name]);
+
+const LIMITS = {
+    quote: { ip: parseLimit(env('RATE_LIMIT_QUOTE_IP', '60/20')), client: parseLimit(env('RATE_LIMIT_QUOTE_CLIENT', '600/100')) },
+    buildTx: { ip: parseLimit(env('RATE_LIMIT_BUILD_TX_IP', '20/5')), client: parseLimit(env('RATE_LIMIT_BUILD_TX_CLIENT', '200/50')) },
+    lookup: { ip: parseLimit(env('RATE_LIMIT_LOOKUP_IP', '120/30')), client: parseLimit(env('RATE_LIMIT_LOOKUP_CLIENT', '1200/200')) }
+};
+
+// Beyond this many buckets, those already refilled to full are dropped: they behave like new ones
+const MAX_MEMORY_BUCKETS = 10000;
+
+// Store interface: take([{ key, limit: { perMinute, burst } }]) -> { allowed } or
+// { allowed: false, refused, retryAfterMs } with `refused` the index of the first empty
+// bucket. A token is spent from every bucket or, when any is empty, from none.
+// Memory suits a single instance; several instances need a shared store to agree.
+function createMemoryRateStore() {
+    const buckets = new Map();
+    const prune = (now) => {
+        for (const [key, b] of buckets) if (b.fullAt <= now) buckets.delete(key);
+    };
+    return {
+        async take(requested) {
+            const now = Date.now();
+            const states = requested.map(({ key, limit: { perMinute, burst } }) => {
+                const perMs = perMinute / 60000;
+                let b = buckets.get(key);
+                if (!b) {
+                    if (buckets.size >= MAX_MEMORY_BUCKETS) prune(now);
+                    b = { tokens: burst, at: now };
+                    buckets.set(key, b);
+                }
+                b.tokens = Math.min(burst, b.tokens + (now - b.at) * perMs);
+                b.at = now;
+                return { b, perMs, burst };
+            });
+            const refused = states.findIndex(({ b }) => b.tokens < 1);
+            states.forEach(({ b, perMs, burst }) => {
+                if (refused === -1) b.tokens -= 1;
+                b.fullAt = now + (burst - b.tokens) / perMs;
+            });
+            if (refused === -1) return { allowed: true };
+            const { b, perMs } = states[refused];
+            return { allowed: false, refused, retryAfterMs: Math.ceil((1 - b.tokens) / perMs) };
+        }
+    };
+}
+
+// Refill every bucket, then spend from all of them or none, atomically, so instances sharing
+// a bucket never both take the last token. ARGV: now, then burst and perMs per key.
+const TAKE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens, refused = {}, 0
+for i = 1, #KEYS do
+    local burst, perMs = tonumber(ARGV[2 * i]), tonumber(ARGV[2 * i + 1])
+    local b = redis.call('HMGET', KEYS[i], 'tokens', 'at')
+    tokens[i] = math.min(burst, (tonumber(b[1]) or burst) + (now - (tonumber(b[2]) or now)) * perMs)
+    if refused == 0 and tokens[i] < 1 then refused = i end
+end
+for i = 1, #KEYS do
+    local burst, perMs = tonumber(ARGV[2 * i]), tonumber(ARGV[2 * i + 1])
+    if refused == 0 then tokens[i] = tokens[i] - 1 end
+    redis.call('HSET', KEYS[i], 'tokens', tostring(tokens[i]), 'at', now)
+    redis.call('PEXPIRE', KEYS[i], math.ceil((burst - tokens[i]) / perMs) + 1000)
+end
+if refused == 0 then return { 0, '' } end
+return { refused, tostring(tokens[refused]) }`;
+
+// Any client with ioredis-style `eval(script, numKeys, ...keys, ...args)`. The keys of one
+// request go to a single script, so on Redis Cluster they must share a slot.
+function createRedisRateStore(client, prefix = 'bitrabo:ratelimit:') {
+    return {
+        async take(requested) {
+            const perMs = requested.map(({ limit }) => limit.perMinute / 60000);
+            const args = requested.flatMap(({ limit }, i) => [limit.burst, perMs[i]]);
+            const [refused, tokens] = await client.eval(TAKE_SCRIPT, requested.length,
+                ...requested.map(({ key }) => prefix + key), Date.now(), ...args);
+            if (refused === 0) return { allowed: true };
+            return { allowed: false, refused: refused - 1, retryAfterMs: Math.ceil((1 - Number(tokens)) / perMs[refused - 1]) };
+        }
+    };
+}
+
+// REDIS_URL shares the buckets between instances when `ioredis` is installed; memory otherwise
+function createRateStoreFromEnv() {
+    if (!process.env.REDIS_URL) return createMemoryRateStore();
+    try {
+        const Redis = require('ioredis');
+        return createRedisRateStore(new Redis(process.env.REDIS_URL));
+    } catch (e) {
+        log.warn('REDIS_URL set but ioredis unavailable, rate limits are per instance', { err: e });
+        return createMemoryRateStore();
+    }
+}
+
+/**
+ * `take(requestClass, { ip, client, byApiKey })` spends one token from the IP's bucket
+ * (skipped when the client sent its API key) and from an identified client's, only if both
+ * have one. Resolves `{ allowed: true }` or `{ allowed: false, scope: 'ip' | 'client', retryAfterMs }`.
+ */
+function createRateLimiter(store, limits = LIMITS) {
+    return {
+        async take(requestClass, { ip, client, byApiKey = false }) {
+            const { ip: ipLimit, client: clientLimit } = limits[requestClass];
+            const buckets = [];
+            if (!byApiKey) buckets.push({ scope: 'ip', key: `${requestClass}:ip:${ip}`, limit: ipLimit });
+            if (client) {
+                const own = client.limits?.[requestClass];
+                buckets.push({ scope: 'client', key: `${requestClass}:client:${client.id}`, limit: own === undefined ? clientLimit : parseLimit(own) });
+            }
+            const active = buckets.filter(b => b.limit);
+            if (!active.length) return { allowed: true };
+            const result = await store.take(active);
+            if (result.allowed) return { allowed: true };
+            return { allowed: false, scope: active[result.refused].scope, retryAfterMs: result.retryAfterMs };
+        }
+    };
+}
+
+module.exports = { LIMITS, parseLimit, createMemoryRateStore, createRedisRateStore, createRateStoreFromEnv, createRateLimiter };
@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+const { chainById } = require('./networks');
+const { log } = require('./logger');
+
+// Per attempt, so a hung endpoint hands over to the next one in time
+const RPC_TIMEOUT_MS = Number(process.env.RPC_TIMEOUT_MS || 8000);
+
+const providersByChain = new Map();
+
+// RPC endpoints per chain in failover order: RPC_URL_<chainId> (comma-separated, e.g.
+// RPC_URL_1=https://eth.llamarpc.com,https://rpc.ankr.com/eth) when set, else the
+// registry's rpcUrls. An empty RPC_URL_<chainId> turns the chain's RPC off.
+function rpcUrls(chainId) {
+    const configured = process.env[`RPC_URL_${chainId}`];
+    const urls = configured === undefined ? chainById(chainId)?.rpcUrls || [] : configured.split(',');
+    return urls.map(u => u.trim()).filter(Boolean);
+}
+
+// JSON-RPC over several endpoints. Calls go to the endpoint that last answered and move
+// down the list on transport failures (timeouts, refused connections, HTTP errors). JSON-RPC
+// errors such as reverts are answers and come back as they are.
+class FailoverRpcProvider extends ethers.JsonRpcProvider {
+    constructor(urls, chainId) {
+        super(urls[0], chainId, { staticNetwork: true });
+        this.endpoints = urls.map(url => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = RPC_TIMEOUT_MS;
+            return new ethers.JsonRpcProvider(request, chainId, { staticNetwork: true });
+        });
+        this.active = 0;
+        this.chainId = chainId;
+    }
+
+    async _send(payload) {
+        let lastError;
+        for (let i = 0; i < this.endpoints.length; i++) {
+            const index = (this.active + i) % this.endpoints.length;
+            try {
+                const result = await this.endpoints[index]._send(payload);
+                this.active = index;
+                return result;
+            } catch (e) {
+                lastError = e;
+                // Endpoint URLs often embed API keys, so log the position only
+                if (this.endpoints.length > 1) log.warn('RPC endpoint failed', { chainId: this.chainId, endpoint: index, err: e });
+            }
+        }
+        throw lastError;
+    }
+}
+
+// Shared JSON-RPC provider for the chain, or null when no RPC is configured
+function getRpcProvider(chainId) {
+    if (providersByChain.has(chainId)) return providersByChain.get(chainId);
+    const urls = rpcUrls(chainId);
+    const provider = urls.length ? new FailoverRpcProvider(urls, chainId) : null;
+    providersByChain.set(chainId, provider);
+    return provider;
+}
+
+module.exports = { rpcUrls, getRpcProvider };
@@ -0,0 +1,49 @@
+const { ethers } = require('ethers');
+const { getRpcProvider } = require('./rpc');
+const { log } = require('./logger');
+
+// Off unless SIMULATE_TXS=true; runs against RPC_URL_<chainId>, which may point at an Anvil/Hardhat fork
+const ENABLED = process.env.SIMULATE_TXS === 'true';
+// What happens to a quote whose tx would revert: 'drop' it or 'flag' it and still return it
+const ON_REVERT = process.env.SIMULATION_ON_REVERT === 'flag' ? 'flag' : 'drop';
+const GAS_BUFFER_PERCENT = Number(process.env.SIMULATION_GAS_BUFFER_PERCENT || 20);
+
+function withBuffer(gas) {
+    return (gas * BigInt(100 + GAS_BUFFER_PERCENT)) / 100n;
+}
+
+// Error(string) and Panic(uint256) are decoded by ethers; custom errors only by selector
+function revertReason(e) {
+    if (e.reason) return e.reason;
+    if (e.revert) return `${e.revert.name}(${e.revert.args.join(', ')})`;
+    const data = e.data || e.info?.error?.data;
+    if (typeof data === 'string' && data.length >= 10) return `custom error ${data.slice(0, 10)}`;
+    return 'execution reverted';
+}
+
+/**
+ * Runs `tx` from `from` with eth_estimateGas. Resolves to one of
+ *   { status: 'ok', gasLimit }          gas used plus the buffer, as a decimal string
+ *   { status: 'reverted', reason }
+ *   { status: 'skipped', reason }       disabled, no RPC, or the node itself failed
+ * Never throws: a broken RPC must not take quotes down with it.
+ */
+async function simulateTx({ chainId, tx, from }) {
+    if (!ENABLED) return { status: 'skipped', reason: 'disabled' };
+    const provider = getRpcProvider(chainId);
+    if (!provider) return { status: 'skipped', reason: 'no_rpc' };
+    if (!from || !tx?.to) return { status: 'skipped', reason: 'no_sender' };
+
+    try {
+        const gas = await provider.estimateGas({ from, to: tx.to, data: tx.data, value: tx.value ? BigInt(tx.value) : 0n });
+        return { status: 'ok', gasLimit: withBuffer(gas).toString() };
+    } catch (e) {
+        if (e.code === 'CALL_EXCEPTION' || ethers.isError(e, 'CALL_EXCEPTION')) {
+            return { status: 'reverted', reason: revertReason(e) };
+        }
+        log.warn('simulation unavailable', { chainId, err: e });
+        return { status: 'skipped', reason: 'rpc_error' };
+    }
+}
+
+module.exports = { ENABLED, ON_REVERT, GAS_BUFFER_PERCENT, simulateTx };
@@ -0,0 +1,36 @@
+// Slippage values are percentages, as the wallet sends and displays them (0.5 = 0.5%)
+const MAX_SLIPPAGE = 50;
+
+const STABLE_SYMBOLS = ['USDC', 'USDC.E', 'USDT', 'DAI', 'BUSD', 'FDUSD', 'TUSD', 'USDP', 'FRAX', 'LUSD', 'PYUSD', 'USDBC'];
+const MAJOR_SYMBOLS = ['ETH', 'WETH', 'BTC', 'WBTC', 'CBBTC', 'BNB', 'WBNB', 'MATIC', 'WMATIC', 'POL', 'WPOL', 'AVAX', 'WAVAX', 'STETH', 'WSTETH', 'SOL', 'WSOL'];
+
+// Volatility class from the symbol; an unpriced token is treated as illiquid
+function tokenClass(token) {
+    const symbol = (token?.symbol || '').toUpperCase();
+    if (STABLE_SYMBOLS.includes(symbol)) return 'stable';
+    if (MAJOR_SYMBOLS.includes(symbol)) return 'major';
+    return token?.priceUSD ? 'longTail' : 'unpriced';
+}
+
+const PAIR_SLIPPAGE = {
+    stable: { stable: 0.1, major: 0.5, longTail: 1, unpriced: 2 },
+    major: { major: 0.5, longTail: 1, unpriced: 2 },
+    longTail: { longTail: 1.5, unpriced: 2 },
+    unpriced: { unpriced: 3 }
+};
+const RANK = ['stable', 'major', 'longTail', 'unpriced'];
+
+// Stable pairs get a tight default, long-tail and unpriced tokens a loose one;
+// bridges add headroom for price movement while funds are in flight.
+function estimateSlippage(fromToken, toToken, { crossChain = false } = {}) {
+    const [a, b] = [tokenClass(fromToken), tokenClass(toToken)].sort((x, y) => RANK.indexOf(x) - RANK.indexOf(y));
+    return PAIR_SLIPPAGE[a][b] + (crossChain ? 0.5 : 0);
+}
+
+// Requested slippage if it is a sane percentage, otherwise the estimate
+function resolveSlippage(requested, auto) {
+    const value = parseFloat(requested);
+    return Number.isFinite(value) && value > 0 && value <= MAX_SLIPPAGE ? value : auto;
+}
+
+module.exports = { MAX_SLIPPAGE, tokenClass, estimateSlippage, resolveSlippage };
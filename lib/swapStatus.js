@@ -0,0 +1,167 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { TIMEOUT } = require('./config');
+const { getRpcProvider, rpcUrls } = require('./rpc');
+const { isEvmNetwork, chainIdOf, SOLANA_NETWORK_ID, SOLANA_CHAIN_ID } = require('./networks');
+const { log } = require('./logger');
+
+// Normalized states: pending -> bridging -> done | failed | refunded
+const TERMINAL_STATES = ['done', 'failed', 'refunded'];
+
+const POLL_INTERVAL_MS = Number(process.env.STATUS_POLL_INTERVAL_MS || 15000);
+// Bridges rarely take longer; after this we stop polling and keep the last answer
+const TRACK_FOR_MS = 2 * 60 * 60 * 1000;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// ERC-20 amount of the output token that reached the sender, read from Transfer logs
+function receivedFromLogs(receipt, toTokenInfo) {
+    if (!toTokenInfo?.contractAddress) return null;
+    const token = toTokenInfo.contractAddress.toLowerCase();
+    const recipient = ethers.zeroPadValue(receipt.from, 32).toLowerCase();
+    const total = receipt.logs
+        .filter(l => l.address.toLowerCase() === token && l.topics[0] === TRANSFER_TOPIC && l.topics[2]?.toLowerCase() === recipient)
+        .reduce((sum, l) => sum + BigInt(l.data), 0n);
+    return total > 0n ? ethers.formatUnits(total, toTokenInfo.decimals) : null;
+}
+
+async function evmReceiptStatus(txHash, quoteResultCtx) {
+    const { fromTokenInfo, toTokenInfo } = quoteResultCtx;
+    const provider = getRpcProvider(chainIdOf(fromTokenInfo.networkId));
+    if (!provider) throw new Error(`No RPC configured for ${fromTokenInfo.networkId}`);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) return { status: 'pending', providerStatus: 'NOT_MINED', sourceTxHash: txHash };
+    const succeeded = receipt.status === 1;
+    return {
+        status: succeeded ? 'done' : 'failed',
+        providerStatus: succeeded ? 'SUCCESS' : 'REVERTED',
+        sourceTxHash: txHash,
+        destinationTxHash: succeeded ? txHash : null,
+        receivedAmount: succeeded ? receivedFromLogs(receipt, toTokenInfo) : null,
+        receivedTokenSymbol: toTokenInfo?.symbol || null
+    };
+}
+
+// Tries the Solana RPC endpoints in order until one answers
+async function solanaRpc(method, params) {
+    const urls = rpcUrls(SOLANA_CHAIN_ID);
+    if (!urls.length) throw new Error(`No RPC configured for ${SOLANA_NETWORK_ID}`);
+    let lastError;
+    for (const url of urls) {
+        try {
+            return await axios.post(url, { jsonrpc: '2.0', id: 1, method, params }, { timeout: TIMEOUT });
+        } catch (e) {
+            lastError = e;
+        }
+    }
+    throw lastError;
+}
+
+async function solanaSignatureStatus(signature) {
+    const resp = await solanaRpc('getSignatureStatuses', [[signature], { searchTransactionHistory: true }]);
+    const s = resp.data.result?.value?.[0];
+    const status = !s ? 'pending' : s.err ? 'failed' : s.confirmationStatus === 'processed' ? 'pending' : 'done';
+    return {
+        status,
+        providerStatus: s?.confirmationStatus || 'NOT_FOUND',
+        sourceTxHash: signature,
+        destinationTxHash: status === 'done' ? signature : null,
+        receivedAmount: null
+    };
+}
+
+/**
+ * One status lookup. Cross-chain and deposit-style swaps ask the provider;
+ * same-chain swaps only need the source transaction's receipt.
+ */
+async function fetchStatus({ adapter, txHash, orderId, quoteResultCtx }) {
+    const { fromTokenInfo, toTokenInfo } = quoteResultCtx;
+    const crossChain = fromTokenInfo.networkId !== toTokenInfo.networkId;
+    if (adapter?.getStatus && (crossChain || orderId)) {
+        return adapter.getStatus({ txHash, orderId, quoteResultCtx });
+    }
+    if (!txHash) throw new Error('txHash is required');
+    if (isEvmNetwork(fromTokenInfo.networkId)) return evmReceiptStatus(txHash, quoteResultCtx);
+    if (fromTokenInfo.networkId === SOLANA_NETWORK_ID) return solanaSignatureStatus(txHash);
+    throw new Error(`Status tracking is not available for ${fromTokenInfo.networkId}`);
+}
+
+// Swaps being followed in the background, keyed by quote, provider, source network and tx
+// hash or order id. Only quotes from our own store are tracked; see getSwapStatus.
+const tracked = new Map();
+// Every entry costs an upstream call per poll, so the map has a ceiling
+const MAX_TRACKED = Number(process.env.STATUS_MAX_TRACKED || 5000);
+let pollTimer = null;
+
+function trackingKey({ txHash, orderId, quoteResultCtx }) {
+    // The quote id keeps a stranger's quote from claiming someone else's tx hash
+    return [quoteResultCtx.quoteId || '', quoteResultCtx.providerId || '', quoteResultCtx.fromTokenInfo.networkId, orderId || txHash].join('|');
+}
+
+async function refresh(entry) {
+    try {
+        const result = await fetchStatus(entry.request);
+        entry.result = { ...result, updatedAt: new Date().toISOString() };
+    } catch (e) {
+        log.warn('status lookup failed', { key: entry.key, err: e });
+        entry.lastError = e.message;
+    }
+    return entry.result;
+}
+
+async function pollAll() {
+    const now = Date.now();
+    for (const [key, entry] of tracked) {
+        if (now > entry.trackUntil) {
+            tracked.delete(key);
+            continue;
+        }
+        if (TERMINAL_STATES.includes(entry.result?.status)) continue;
+        await refresh(entry);
+    }
+}
+
+// One cycle at a time: the next is scheduled only once this one has finished
+function schedulePoll() {
+    pollTimer = setTimeout(() => {
+        pollAll()
+            .catch(e => log.error('status poller failed', { err: e }))
+            .finally(() => (tracked.size ? schedulePoll() : (pollTimer = null)));
+    }, POLL_INTERVAL_MS);
+    pollTimer.unref();
+}
+
+function startPoller() {
+    if (!pollTimer) schedulePoll();
+}
+
+async function lookupOnce(request) {
+    return { ...await fetchStatus(request), updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Latest known status for a swap. With `track` (the quote came from our store), the
+ * first call looks it up and starts background polling, and later calls are answered
+ * from the poller's cache. Lookups built from a client-supplied ctx are answered once
+ * and never tracked, and tracked entries belong to one quote, so nobody can plant a
+ * status for someone else's transaction.
+ */
+async function getSwapStatus(request, { track = false } = {}) {
+    const key = trackingKey(request);
+    let entry = tracked.get(key);
+    if (!entry) {
+        if (!track) return lookupOnce(request);
+        if (tracked.size >= MAX_TRACKED) {
+            log.warn('status tracker full, answering without tracking', { key, max: MAX_TRACKED });
+            return lookupOnce(request);
+        }
+        entry = { key, request, result: null, trackUntil: Date.now() + TRACK_FOR_MS };
+        tracked.set(key, entry);
+        startPoller();
+        await refresh(entry);
+    }
+    if (!entry.result) throw new Error(entry.lastError || 'Status unavailable');
+    return entry.result;
+}
+
+module.exports = { TERMINAL_STATES, fetchStatus, getSwapStatus, pollAll };
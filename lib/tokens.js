@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+const { getToken } = require('@lifi/sdk');
+const { createTtlCache } = require('./cache');
+const { getRpcProvider } = require('./rpc');
+const { SOLANA_CHAIN_ID, isNativeOnlyNetwork, getNetwork, chainIdOf } = require('./networks');
+const { ERROR_CODES, SwapError } = require('./errors');
+const { log } = require('./logger');
+const TOKEN_LIST = require('./tokenList.json');
+
+const NATIVE = '0x0000000000000000000000000000000000000000';
+const NATIVE_ALIASES = [NATIVE, '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'];
+
+// Solana mints are case-sensitive base58; native SOL is addressed by its wrapped mint
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LIFI_SOLANA_CHAIN_ID = 1151111081099710;
+
+// Decimals and symbols never change, so they live for a day and can be persisted
+// with TOKEN_CACHE_FILE. Prices are memory-only and short-lived.
+const metadataCache = createTtlCache({ ttl: 24 * 60 * 60 * 1000, file: process.env.TOKEN_CACHE_FILE });
+const priceCache = createTtlCache({ ttl: Number(process.env.TOKEN_PRICE_TTL_MS || 60000) });
+
+const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function name() view returns (string)'
+];
+
+function normalizeAddress(address, chainId) {
+    if (chainId === SOLANA_CHAIN_ID) return address || SOL_MINT;
+    const addr = (address || '').toLowerCase();
+    return !addr || NATIVE_ALIASES.includes(addr) ? NATIVE : addr;
+}
+
+function fromTokenList(chainId, address) {
+    const t = TOKEN_LIST[chainId]?.find(t => t.address.toLowerCase() === address.toLowerCase());
+    return t ? { symbol: t.symbol, name: t.name, decimals: t.decimals } : null;
+}
+
+async function fromChain(chainId, address) {
+    const provider = getRpcProvider(chainId);
+    if (!provider || address === NATIVE || chainId === SOLANA_CHAIN_ID) return null;
+    const erc20 = new ethers.Contract(address, ERC20_ABI, provider);
+    const [decimals, symbol, name] = await Promise.all([erc20.decimals(), erc20.symbol(), erc20.name().catch(() => '')]);
+    return { symbol, name, decimals: Number(decimals) };
+}
+
+// LiFi gives metadata and a USD price in one call; it is the only price source
+async function fromLifi(chainId, address, signal) {
+    const t = await getToken(chainId === SOLANA_CHAIN_ID ? LIFI_SOLANA_CHAIN_ID : chainId, address, { signal });
+    priceCache.set(`${chainId}:${address}`, parseFloat(t.priceUSD || 0));
+    return { symbol: t.symbol, name: t.name, decimals: t.decimals };
+}
+
+/**
+ * Token metadata `{ chainId, address, symbol, name, decimals, priceUSD }`.
+ * Sources in order: cache, bundled token list, LiFi, on-chain ERC-20 calls.
+ * Throws when decimals cannot be determined - guessing 18 misprices 6-decimal stables.
+ */
+async function getTokenInfo(chainId, tokenAddress, { signal } = {}) {
+    const address = normalizeAddress(tokenAddress, chainId);
+    const key = `${chainId}:${address}`;
+    let meta = metadataCache.get(key) || fromTokenList(chainId, address);
+    let price = priceCache.get(key);
+
+    if (price === undefined) {
+        try {
+            const lifiMeta = await fromLifi(chainId, address, signal);
+            meta = meta || lifiMeta;
+            price = priceCache.get(key);
+        } catch (e) {
+            log.warn('token lookup failed', { source: 'lifi', token: key, err: e });
+        }
+    }
+    if (!meta) {
+        try {
+            meta = await fromChain(chainId, address);
+        } catch (e) {
+            log.warn('token lookup failed', { source: 'chain', token: key, err: e });
+        }
+    }
+    if (!meta) throw new SwapError(ERROR_CODES.UNKNOWN_TOKEN, `Unknown token ${tokenAddress} on chain ${chainId}`);
+
+    metadataCache.set(key, meta);
+    return { chainId, address, ...meta, priceUSD: price || 0 };
+}
+
+// Network-aware lookup; an empty address means the native coin. UTXO chains
+// (btc--0, ltc--0, ...) all parse to chain id 0, so their coin comes straight
+// from the network table instead of the chain-keyed cache.
+async function getNetworkTokenInfo(networkId, tokenAddress, options) {
+    if (!isNativeOnlyNetwork(networkId)) return getTokenInfo(chainIdOf(networkId), tokenAddress, options);
+    const network = getNetwork(networkId);
+    if (!network || tokenAddress) throw new SwapError(ERROR_CODES.UNKNOWN_TOKEN, `Unknown token ${tokenAddress || 'native'} on ${networkId}`);
+    return { chainId: null, address: '', symbol: network.symbol, name: network.name, decimals: network.decimals, priceUSD: 0 };
+}
+
+// Shape used in quote and build-tx payloads
+function toTokenInfoPayload(token, networkId, contractAddress) {
+    return {
+        contractAddress: contractAddress || "",
+        networkId,
+        decimals: token.decimals,
+        symbol: token.symbol,
+        name: token.name
+    };
+}
+
+module.exports = { NATIVE, SOL_MINT, normalizeAddress, getTokenInfo, getNetworkTokenInfo, toTokenInfoPayload };
@@ -0,0 +1,81 @@
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+
+function toHex(val) {
+    if (!val || val === '0') return "0x0";
+    try {
+        if (val.toString().startsWith('0x')) return val.toString();
+        return "0x" + new BigNumber(val).toString(16);
+    } catch { return "0x0"; }
+}
+
+function norm(addr) {
+    if (!addr || addr === '' || addr === '0x0000000000000000000000000000000000000000') {
+        return '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+    }
+    return addr.toLowerCase();
+}
+
+function getFakeRoutes(providerName, logo) {
+    if (providerName.includes('OKX')) return [{ subRoutes: [[{ name: "PancakeSwap V3", percent: "100", logo: "https://static.okx.com/cdn/web3/dex/logo/pancakeswap_v3.png" }]] }];
+    if (providerName.includes('1inch')) return [{ part: 100, subRoutes: [[{ name: "PMM12", part: 100, logo: "https://cdn.1inch.io/liquidity-sources-logo/pmm_color.png" }]] }];
+    if (providerName.includes('0x')) return [{ part: 100, subRoutes: [[{ name: "Uniswap V3" }]] }];
+    return [{ subRoutes: [[{ name: providerName, percent: "100", logo: logo }]] }];
+}
+
+// USD cost of gasLimit × gasPrice plus any L1 data fee (all wei). Prices come from lib/gasOracle.
+function calculateFiatFee(gasLimit, gasPrice, nativePriceUSD, l1FeeWei = "0") {
+    try {
+        const priceWei = new BigNumber(gasPrice);
+        const limit = new BigNumber(gasLimit || 200000);
+        const totalWei = limit.multipliedBy(priceWei).plus(l1FeeWei);
+        const totalNative = totalWei.div(1e18);
+        const usdFee = totalNative.multipliedBy(nativePriceUSD);
+        return parseFloat(usdFee.toFixed(2));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Exact decimal string -> base units, dropping digits beyond `decimals` instead of rounding through a float
+function toBaseUnits(amount, decimals) {
+    return ethers.parseUnits(new BigNumber(amount || 0).toFixed(decimals, BigNumber.ROUND_DOWN), decimals);
+}
+
+// Plain EVM tx as stored in quoteResultCtx.tx -> wallet-ready tx (decimal value)
+function buildEvmTx(tx) {
+    if (!tx) return null;
+    return { ...tx, value: new BigNumber(tx.value || "0").toFixed() };
+}
+
+// Rejects with a `timeout` error if the promise has not settled within `ms`
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`${label} timeout`);
+            err.code = 'ETIMEDOUT';
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Coarse upstream failure class for stream events and logs
+function classifyError(e) {
+    const status = e?.response?.status;
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'upstream_5xx';
+    if (status >= 400) return 'upstream_4xx';
+    if (e?.code === 'ETIMEDOUT' || e?.code === 'ECONNABORTED') return 'timeout';
+    if (e?.code === 'AMOUNT_OUT_OF_RANGE') return 'amount_out_of_range';
+    if (e?.code === 'STEP_NOT_READY') return 'step_not_ready';
+    if (e?.code === 'SIMULATION_REVERTED') return 'simulation_reverted';
+    if (e?.code === 'PRICE_IMPACT_TOO_HIGH') return 'price_impact_too_high';
+    if (e?.code === 'RATE_OUTLIER') return 'rate_outlier';
+    if (e?.name === 'CanceledError' || e?.name === 'AbortError') return 'aborted';
+    if (e?.code === 'ENOTFOUND' || e?.code === 'ECONNREFUSED' || e?.code === 'ECONNRESET') return 'network';
+    return 'error';
+}
+
+module.exports = { toHex, norm, getFakeRoutes, calculateFiatFee, toBaseUnits, buildEvmTx, withTimeout, classifyError };
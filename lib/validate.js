@@ -0,0 +1,138 @@
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+const { getNetwork, isEvmNetwork, SOLANA_NETWORK_ID } = require('./networks');
+const { STRATEGIES } = require('./ranking');
+const { MAX_SLIPPAGE } = require('./slippage');
+const { ERROR_CODES, SwapError } = require('./errors');
+
+const NETWORK_ID = /^[a-z]+--\d+$/;
+const DECIMAL = /^\d+(\.\d+)?$/;
+const BASE58 = /^[1-9A-HJ-NP-Za-km-z]+$/;
+const UTXO_ADDRESS = /^[a-zA-Z0-9]{25,90}$/;
+const EVM_TX_HASH = /^0x[0-9a-fA-F]{64}$/;
+const QUOTE_ID = /^[\w-]{1,64}$/;
+
+// Address syntax for the network's family. EVM addresses in mixed case must carry a
+// valid checksum (ethers rejects a bad one); all-lowercase is accepted as unchecksummed.
+function isAddressOn(networkId, address) {
+    if (isEvmNetwork(networkId)) return ethers.isAddress(address);
+    if (networkId === SOLANA_NETWORK_ID) return BASE58.test(address) && address.length >= 32 && address.length <= 44;
+    return UTXO_ADDRESS.test(address);
+}
+
+// Each rule gets (value, input) and returns what is wrong with the value, or nothing
+const rules = {
+    networkId: (v) => {
+        if (!NETWORK_ID.test(v)) return 'must be a network id such as evm--1';
+        if (!getNetwork(v)) return `${v} is not a supported network`;
+    },
+    networkIdFormat: (v) => (NETWORK_ID.test(v) ? undefined : 'must be a network id such as evm--1'),
+    amount: (v) => (DECIMAL.test(v) && new BigNumber(v).gt(0) ? undefined : 'must be a positive decimal string such as "1.5"'),
+    amountOrZero: (v) => (DECIMAL.test(v) ? undefined : 'must be a decimal string such as "1.5"'),
+    slippage: (v) => {
+        const n = Number(v);
+        if (!DECIMAL.test(v) || !(n > 0) || n > MAX_SLIPPAGE) return `must be a percentage between 0 and ${MAX_SLIPPAGE}`;
+    },
+    rankStrategy: (v) => (STRATEGIES[v] ? undefined : `must be one of ${Object.keys(STRATEGIES).join(', ')}`),
+    quoteId: (v) => (QUOTE_ID.test(v) ? undefined : 'is not a valid quote id'),
+    evmTxHash: (v) => (EVM_TX_HASH.test(v) ? undefined : 'must be a 0x-prefixed 32-byte transaction hash'),
+    evmAddress: (v) => (ethers.isAddress(v) ? undefined : 'is not a valid EVM address'),
+    txId: (v) => (/^\w{16,128}$/.test(v) ? undefined : 'is not a valid transaction id'),
+    date: (v) => (/^\d{4}-\d{2}-\d{2}/.test(v) && !Number.isNaN(Date.parse(v)) ? undefined : 'must be a date such as 2026-01-31'),
+    orderId: (v) => (/^[\w-]{1,128}$/.test(v) ? undefined : 'is not a valid order id'),
+    positiveInteger: (v) => (Number.isInteger(Number(v)) && Number(v) >= 1 ? undefined : 'must be a positive integer'),
+    oneOf: (...values) => (v) => (values.includes(v) ? undefined : `must be one of ${values.join(', ')}`),
+    // Address on the network named by another field of the same input
+    addressOn: (networkField) => (v, input) => {
+        const networkId = input[networkField];
+        if (!networkId || !getNetwork(networkId)) return undefined; // reported on the network field itself
+        if (!isAddressOn(networkId, v)) return `is not a valid ${networkId} address`;
+    }
+};
+
+/**
+ * Checks `input` against `schema` ({ field: { rule, required } }) and throws an
+ * INVALID_PARAMS SwapError naming the first bad field. Empty strings count as missing,
+ * and only strings and numbers are accepted (a repeated query parameter is an array).
+ */
+function check(input, schema) {
+    for (const [field, { rule, required }] of Object.entries(schema)) {
+        const value = input?.[field];
+        if (value === undefined || value === null || value === '') {
+            if (required) throw new SwapError(ERROR_CODES.INVALID_PARAMS, `${field} is required`);
+            continue;
+        }
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw new SwapError(ERROR_CODES.INVALID_PARAMS, `${field} must be a single value`);
+        }
+        const problem = rule(String(value), input);
+        if (problem) throw new SwapError(ERROR_CODES.INVALID_PARAMS, `${field} ${problem}`);
+    }
+    return input;
+}
+
+const SCHEMAS = {
+    quote: {
+        fromNetworkId: { rule: rules.networkId, required: true },
+        toNetworkId: { rule: rules.networkId, required: true },
+        fromTokenAddress: { rule: rules.addressOn('fromNetworkId') },
+        toTokenAddress: { rule: rules.addressOn('toNetworkId') },
+        fromTokenAmount: { rule: rules.amount, required: true },
+        userAddress: { rule: rules.addressOn('fromNetworkId') },
+        receivingAddress: { rule: rules.addressOn('toNetworkId') },
+        slippage: { rule: rules.slippage },
+        rankStrategy: { rule: rules.rankStrategy }
+    },
+    network: {
+        networkId: { rule: rules.networkId, required: true }
+    },
+    checkSupport: {
+        networkId: { rule: rules.networkIdFormat, required: true }
+    },
+    allowance: {
+        networkId: { rule: rules.networkId, required: true },
+        tokenAddress: { rule: rules.addressOn('networkId'), required: true },
+        spenderAddress: { rule: rules.addressOn('networkId'), required: true },
+        walletAddress: { rule: rules.addressOn('networkId'), required: true },
+        amount: { rule: rules.amountOrZero },
+        approveType: { rule: rules.oneOf('limited', 'unlimited') }
+    },
+    buildTx: {
+        quoteId: { rule: rules.quoteId, required: true },
+        // Its format depends on the quote's network, see quoteOwner
+        userAddress: { rule: rules.addressOn('fromNetworkId'), required: true },
+        gasTier: { rule: rules.oneOf('slow', 'normal', 'fast') }
+    },
+    // Checked once the stored quote tells us the networks: the wallet before it is compared
+    // with the quote's, the receiving address before the provider sees it
+    quoteOwner: {
+        userAddress: { rule: rules.addressOn('fromNetworkId'), required: true }
+    },
+    buildTxAddresses: {
+        receivingAddress: { rule: rules.addressOn('toNetworkId') }
+    },
+    nextStep: {
+        quoteId: { rule: rules.quoteId, required: true },
+        stepIndex: { rule: rules.positiveInteger, required: true },
+        previousTxHash: { rule: rules.evmTxHash, required: true },
+        // Multi-step routes are LiFi's, EVM only
+        userAddress: { rule: rules.evmAddress, required: true },
+        gasTier: { rule: rules.oneOf('slow', 'normal', 'fast') }
+    },
+    stateTx: {
+        txId: { rule: rules.txId },
+        txHash: { rule: rules.txId },
+        quoteId: { rule: rules.quoteId },
+        orderId: { rule: rules.orderId }
+    },
+    revenue: {
+        from: { rule: rules.date },
+        to: { rule: rules.date }
+    },
+    orderStatus: {
+        provider: { rule: (v) => (/^\w+$/.test(v) ? undefined : 'is not a provider id'), required: true },
+        orderId: { rule: rules.orderId, required: true }
+    }
+};
+
+module.exports = { rules, isAddressOn, check, SCHEMAS };
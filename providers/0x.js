@@ -1,32 +1,64 @@
 const axios = require('axios');
+const { ethers } = require('ethers');
+const { KEYS, TIMEOUT, DEFAULT_TAKER } = require('../lib/config');
+const { norm, getFakeRoutes, buildEvmTx } = require('../lib/utils');
+const { estimateNetworkFeeUSD } = require('../lib/gasOracle');
 
-const API_KEY = process.env.ZEROX_API_KEY; 
-const MY_FEE_WALLET = process.env.BITRABO_FEE_RECEIVER;
+function zeroEx(endpoint, { params, amount, fromChain, fee, signal }, extra) {
+    return axios.get(`https://api.0x.org/swap/allowance-holder/${endpoint}`, {
+        headers: { '0x-api-key': KEYS.ZEROX, '0x-version': 'v2' },
+        params: {
+            chainId: fromChain, sellToken: norm(params.fromTokenAddress), buyToken: norm(params.toTokenAddress),
+            sellAmount: amount,
+            ...(fee.bps && fee.recipient ? { swapFeeRecipient: fee.recipient, swapFeeBps: fee.bps, swapFeeToken: norm(params.toTokenAddress) } : {}),
+            ...extra
+        }, timeout: TIMEOUT, signal
+    });
+}
 
-async function getQuote(params) {
-    try {
-        const chainId = parseInt(params.fromNetworkId.replace('evm--', ''));
-        
-        // 0x API Call
-        const response = await axios.get('https://api.0x.org/swap/v1/price', {
-            headers: { '0x-api-key': API_KEY },
-            params: {
-                sellToken: params.fromTokenAddress,
-                buyToken: params.toTokenAddress,
-                sellAmount: params.fromTokenAmount,
-                buyTokenPercentageFee: 0.005, // 0.5% Fee
-                feeRecipient: MY_FEE_WALLET   // <--- YOU GET PAID
-            }
-        });
+async function quote(ctx) {
+    const { params, fromChain, toDecimals, nativePriceUSD, slippage } = ctx;
+    const resp = await zeroEx('quote', ctx, {
+        taker: params.userAddress || DEFAULT_TAKER, slippageBps: Math.round(slippage * 100), skipValidation: true
+    });
+    const d = resp.data;
+    const fiatFee = await estimateNetworkFeeUSD({
+        chainId: fromChain, tx: d.transaction, gasLimit: d.transaction.gas, gasPrice: d.transaction.gasPrice, nativePriceUSD
+    });
+    return {
+        toAmount: ethers.formatUnits(d.buyAmount, toDecimals),
+        minToAmount: d.minBuyAmount ? ethers.formatUnits(d.minBuyAmount, toDecimals) : undefined,
+        tx: { to: d.transaction.to, value: d.transaction.value, data: d.transaction.data, gasLimit: d.transaction.gas },
+        decimals: toDecimals, symbol: "UNK", routesData: getFakeRoutes("0x", ""),
+        ctx: { zeroxChainId: fromChain }, fiatFee,
+        // Without a receiver no swapFeeBps went out, so there is no fee in the amounts
+        noIntegratorFee: !(ctx.fee.bps && ctx.fee.recipient),
+        // AllowanceHolder is both the spender and the tx target
+        spender: d.issues?.allowance?.spender || d.transaction.to
+    };
+}
 
-        return {
-            toAmount: response.data.buyAmount,
-            estimatedGas: response.data.estimatedGas,
-            tx: null 
-        };
-    } catch (e) {
-        return null;
-    }
+// Indicative price: no taker, no calldata
+async function price(ctx) {
+    const { fromChain, toDecimals, nativePriceUSD } = ctx;
+    const d = (await zeroEx('price', ctx, {})).data;
+    if (!d.liquidityAvailable || !d.buyAmount) return null;
+    return {
+        toAmount: ethers.formatUnits(d.buyAmount, toDecimals),
+        fiatFee: await estimateNetworkFeeUSD({ chainId: fromChain, tx: null, gasLimit: d.gas, gasPrice: d.gasPrice, nativePriceUSD }),
+        noIntegratorFee: !(ctx.fee.bps && ctx.fee.recipient),
+        routesData: getFakeRoutes("0x", "")
+    };
 }
 
-module.exports = { getQuote };
\ No newline at end of file
+module.exports = {
+    id: 'Swap0x',
+    name: '0x',
+    logo: 'https://uni.onekey-asset.com/static/logo/0xlogo.png',
+    capabilities: { needsUserAddress: false },
+    // swapFeeToken is the buy token
+    feeToken: 'to',
+    quote,
+    price,
+    buildTx: (quoteResultCtx) => buildEvmTx(quoteResultCtx.tx)
+};
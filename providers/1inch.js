@@ -1,45 +1,63 @@
 const axios = require('axios');
+const { ethers } = require('ethers');
+const { KEYS, TIMEOUT, DEFAULT_TAKER } = require('../lib/config');
+const { norm, getFakeRoutes, buildEvmTx } = require('../lib/utils');
+const { estimateNetworkFeeUSD } = require('../lib/gasOracle');
 
-const API_KEY = process.env.ONEINCH_API_KEY;
-const FEE_RECIPIENT = process.env.BITRABO_FEE_RECEIVER;
-const FEE_PERCENT = 0.5; // 0.5% (1inch allows up to 3% usually)
-
-async function getQuote(params) {
-    try {
-        const chainId = parseInt(params.fromNetworkId.replace('evm--', ''));
-        
-        // 1inch Swap API v6.0
-        const url = `https://api.1inch.dev/swap/v6.0/${chainId}/swap`;
-
-        const response = await axios.get(url, {
-            headers: { Authorization: `Bearer ${API_KEY}` },
-            params: {
-                src: params.fromTokenAddress,
-                dst: params.toTokenAddress,
-                amount: params.fromTokenAmount,
-                from: params.userAddress,
-                slippage: 0.5,
-                // --- FEE INJECTION ---
-                fee: FEE_PERCENT, 
-                referrer: FEE_RECIPIENT 
-            }
-        });
-
-        const data = response.data;
+async function quote({ params, amount, fromChain, toDecimals, nativePriceUSD, slippage, fee, signal }) {
+    const resp = await axios.get(`https://api.1inch.dev/swap/v5.2/${fromChain}/swap`, {
+        headers: { Authorization: `Bearer ${KEYS.ONEINCH}` },
+        params: {
+            src: norm(params.fromTokenAddress), dst: norm(params.toTokenAddress),
+            amount, from: params.userAddress || DEFAULT_TAKER,
+            slippage, disableEstimate: true,
+            ...(fee.bps && fee.recipient ? { fee: fee.percent, referrer: fee.recipient } : {})
+        }, timeout: TIMEOUT, signal
+    });
+    const d = resp.data;
+    const dstAmount = d.toTokenAmount || d.dstAmount || d.toAmount;
+    if (!dstAmount) throw new Error("No amount");
+    const fiatFee = await estimateNetworkFeeUSD({
+        chainId: fromChain, tx: d.tx, gasLimit: d.tx.gas, gasPrice: d.tx.gasPrice, nativePriceUSD
+    });
+    return {
+        toAmount: ethers.formatUnits(dstAmount, toDecimals),
+        tx: { to: d.tx.to, value: d.tx.value, data: d.tx.data, gasLimit: d.tx.gas },
+        decimals: toDecimals, symbol: "UNK", routesData: getFakeRoutes("1inch", ""),
+        ctx: { oneInchChainId: 1 }, fiatFee,
+        // No referrer, no fee: 1inch only charges one it can pay out
+        noIntegratorFee: !(fee.bps && fee.recipient)
+    };
+}
 
-        return {
-            toAmount: data.dstAmount,
-            tx: {
-                to: data.tx.to,
-                value: data.tx.value,
-                data: data.tx.data,
-                gasLimit: data.tx.gas
-            }
-        };
-    } catch (e) {
-        console.error("[1inch Error]", e.response?.data || e.message);
-        return null;
-    }
+// Indicative price from /quote: no wallet, no calldata
+async function price({ params, amount, fromChain, toDecimals, nativePriceUSD, fee, signal }) {
+    const resp = await axios.get(`https://api.1inch.dev/swap/v5.2/${fromChain}/quote`, {
+        headers: { Authorization: `Bearer ${KEYS.ONEINCH}` },
+        params: {
+            src: norm(params.fromTokenAddress), dst: norm(params.toTokenAddress), amount, includeGas: true,
+            ...(fee.bps && fee.recipient ? { fee: fee.percent } : {})
+        }, timeout: TIMEOUT, signal
+    });
+    const d = resp.data;
+    const dstAmount = d.toTokenAmount || d.dstAmount || d.toAmount;
+    if (!dstAmount) return null;
+    return {
+        toAmount: ethers.formatUnits(dstAmount, toDecimals),
+        fiatFee: await estimateNetworkFeeUSD({ chainId: fromChain, tx: null, gasLimit: d.estimatedGas || d.gas, nativePriceUSD }),
+        noIntegratorFee: !(fee.bps && fee.recipient),
+        routesData: getFakeRoutes("1inch", "")
+    };
 }
 
-module.exports = { getQuote };
\ No newline at end of file
+module.exports = {
+    id: 'Swap1inch',
+    name: '1inch',
+    logo: 'https://common.onekey-asset.com/logo/1Inch.png',
+    capabilities: { needsUserAddress: false },
+    // 1inch takes the referrer fee from the source token
+    feeToken: 'from',
+    quote,
+    price,
+    buildTx: (quoteResultCtx) => buildEvmTx(quoteResultCtx.tx)
+};
@@ -1,46 +1,147 @@
 const axios = require('axios');
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+const { KEYS, TIMEOUT } = require('../lib/config');
+const { isEvmNetwork } = require('../lib/networks');
+const { ERROR_CODES, SwapError } = require('../lib/errors');
 
-const API_KEY = process.env.CHANGEHERO_API_KEY;
-
-async function getQuote(params) {
-    try {
-        // ChangeHero usually requires Ticker symbols (BTC, ETH), not addresses.
-        // You might need a token map if params only has addresses.
-        // Assuming params has symbols from your frontend request if available, 
-        // or we default to a simple lookup or skip if we can't map.
-        
-        const fromSymbol = params.fromTokenInfo?.symbol; // You need to ensure these are passed
-        const toSymbol = params.toTokenInfo?.symbol;
-
-        if (!fromSymbol || !toSymbol) return null;
-
-        const url = `https://api.changehero.io/v2/exchange-amount`;
-        
-        const response = await axios.get(url, {
-            params: {
-                api_key: API_KEY,
-                from: fromSymbol.toLowerCase(),
-                to: toSymbol.toLowerCase(),
-                amount: ethers.formatUnits(params.fromTokenAmount, params.fromTokenInfo.decimals) // They usually take human readable numbers
+const API = 'https://api.changehero.io/v2/';
+
+// ChangeHero trades by ticker, not address: networkId -> token address ('' = native) -> ticker
+const TICKERS = {
+    'btc--0': { '': 'btc' },
+    'ltc--0': { '': 'ltc' },
+    'doge--0': { '': 'doge' },
+    'sol--101': { '': 'sol' },
+    'evm--1': {
+        '': 'eth',
+        '0xdac17f958d2ee523a2206206994597c13d831ec7': 'usdt',
+        '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 'usdc'
+    },
+    'evm--56': { '': 'bnbbsc' }
+};
+
+// Normalized swap states, shared with the other order-tracking providers
+const STATUS_MAP = {
+    new: 'pending', waiting: 'pending', confirming: 'pending',
+    exchanging: 'bridging', sending: 'bridging',
+    finished: 'done', failed: 'failed', refunded: 'refunded', expired: 'failed', overdue: 'failed', hold: 'pending'
+};
+
+const ERC20 = new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)']);
+
+function tickerOf(networkId, tokenAddress) {
+    return TICKERS[networkId]?.[(tokenAddress || '').toLowerCase()];
+}
+
+// ChangeHero speaks JSON-RPC 2.0 on a single endpoint
+async function rpc(method, params, signal) {
+    const resp = await axios.post(API, { jsonrpc: '2.0', id: method, method, params }, {
+        headers: { 'api-key': KEYS.CHANGEHERO }, timeout: TIMEOUT, signal
+    });
+    if (resp.data.error) throw new Error(`ChangeHero ${method}: ${resp.data.error.message}`);
+    return resp.data.result;
+}
+
+function amountOutOfRange(message) {
+    const err = new Error(message);
+    err.code = 'AMOUNT_OUT_OF_RANGE';
+    return err;
+}
+
+async function quote({ params, fromToken, signal }) {
+    const from = tickerOf(params.fromNetworkId, params.fromTokenAddress);
+    const to = tickerOf(params.toNetworkId, params.toTokenAddress);
+    if (!from || !to || from === to) return null;
+
+    // ChangeHero takes human-readable amounts
+    const amount = params.fromTokenAmount;
+    // Floating-rate flow throughout (createTransaction without a rateId), so its minimum applies;
+    // getFixRate's limits belong to fixed-rate exchanges. The floating API only publishes a minimum.
+    const minAmount = await rpc('getMinAmount', { from, to }, signal);
+    if (minAmount && new BigNumber(amount).lt(minAmount)) {
+        throw amountOutOfRange(`ChangeHero minimum is ${minAmount} ${fromToken.symbol}`);
+    }
+
+    const toAmount = await rpc('getExchangeAmount', { from, to, amount }, signal);
+    if (!toAmount || new BigNumber(toAmount).lte(0)) return null;
+
+    return {
+        toAmount: new BigNumber(toAmount).toFixed(),
+        // The deposit address only exists once build-tx creates the exchange
+        tx: null,
+        routesData: [{ subRoutes: [[{ name: 'ChangeHero', percent: '100' }]] }],
+        estimatedTime: 1800,
+        // Partner commission is set on the ChangeHero account, not per request
+        noIntegratorFee: true,
+        ctx: {
+            changeHero: {
+                from, to, amount,
+                // userAddress lives on the source network, so it cannot be the payout address
+                receivingAddress: params.receivingAddress || null
             }
-        });
-
-        const data = response.data;
-        
-        // ChangeHero gives you a rate. To get the transaction, you essentially "Deposit" to them.
-        // We simulate the transaction as a transfer to their hot wallet (if they provide one in a 'create transaction' endpoint)
-        // Or if this is just a rate check:
-        
-        // NOTE: Actual Swap requires hitting their "create transaction" endpoint which returns a deposit address.
-        // For the QUOTE phase, we just return the rate.
-        
+        }
+    };
+}
+
+// Creates the exchange and returns the deposit transfer the wallet has to send
+async function buildTx(quoteResultCtx, userAddress, { receivingAddress } = {}) {
+    const ch = quoteResultCtx.changeHero;
+    const payout = receivingAddress || ch?.receivingAddress;
+    if (!ch) return null;
+    // The coins land on another chain, so the wallet's own address is no payout address
+    if (!payout) throw new SwapError(ERROR_CODES.INVALID_PARAMS, 'receivingAddress is required for ChangeHero swaps');
+
+    const exchange = await rpc('createTransaction', {
+        from: ch.from, to: ch.to, amount: ch.amount, address: payout, refundAddress: userAddress
+    });
+    const { fromTokenInfo } = quoteResultCtx;
+    const depositAmount = String(exchange.amountExpectedFrom || ch.amount);
+    const rawAmount = ethers.parseUnits(new BigNumber(depositAmount).toFixed(fromTokenInfo.decimals, BigNumber.ROUND_UP), fromTokenInfo.decimals);
+
+    if (!isEvmNetwork(fromTokenInfo.networkId)) {
         return {
-            toAmount: ethers.parseUnits(data.estimated_amount, params.toTokenInfo.decimals).toString(),
-            tx: null // We build this in the /build-tx phase by calling createTransaction
+            depositAddress: exchange.payinAddress,
+            amount: depositAmount,
+            memo: exchange.payinExtraId || undefined,
+            orderId: exchange.id
         };
-    } catch (e) {
-        return null;
     }
+    if (!fromTokenInfo.contractAddress) {
+        return { to: exchange.payinAddress, value: rawAmount.toString(), data: '0x', orderId: exchange.id };
+    }
+    return {
+        to: fromTokenInfo.contractAddress,
+        value: '0',
+        data: ERC20.encodeFunctionData('transfer', [exchange.payinAddress, rawAmount]),
+        orderId: exchange.id
+    };
+}
+
+async function getStatus({ orderId }) {
+    const [t] = await rpc('getTransactions', { id: orderId });
+    if (!t) return null;
+    return {
+        orderId,
+        status: STATUS_MAP[t.status] || 'pending',
+        providerStatus: t.status,
+        sourceTxHash: t.payinHash || null,
+        destinationTxHash: t.payoutHash || null,
+        receivedAmount: t.amountTo || null,
+        receivedTokenSymbol: t.currencyTo ? t.currencyTo.toUpperCase() : null
+    };
 }
 
-module.exports = { getQuote };
\ No newline at end of file
+module.exports = {
+    id: 'SwapChangeHero',
+    name: 'ChangeHero',
+    logo: 'https://uni.onekey-asset.com/static/logo/changehero.png',
+    capabilities: { needsUserAddress: false },
+    // Quotes carry noIntegratorFee, so no fee is ever reported in it
+    feeToken: 'to',
+    quote,
+    // The rate lookup needs no wallet or deposit address, so it doubles as the price
+    price: quote,
+    buildTx,
+    getStatus
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { CHAINS, providerNetworks } = require('../lib/networks');
+const { log } = require('../lib/logger');
+
+// Every module in this directory exports one adapter:
+// { id, name, logo, capabilities: { needsUserAddress }, quote(ctx) -> quote | null,
+//   price?(ctx) -> price | null,
+//   buildTx(quoteResultCtx, userAddress, { receivingAddress }) -> tx | null,
+//   getStatus?({ txHash, orderId, quoteResultCtx }) -> status | null,
+//   stepCount?(quoteResultCtx), buildNextStep?(quoteResultCtx, { stepIndex, previousTxHash }) }
+// `quote` resolves null when the provider has no route and throws on upstream failure.
+// `price` is the indicative variant for wallets not connected yet: same contract, but no
+// calldata and no user address; it returns { toAmount, fiatFee, priceImpact?, routesData }.
+// A quote may name its ERC-20 `spender`; otherwise the tx target is approved.
+// `feeToken` says which side our integrator fee is taken from upstream: 'from' (the
+// input, before the swap) or 'to' (the output, which toAmount is already net of).
+// Deposit-style providers put their exchange id on the built tx as `orderId`.
+// Non-EVM txs are `{ serializedTransaction }` or a `{ depositAddress, amount }` transfer.
+// Where an adapter is offered comes from the chain registry (lib/networks.js), which the
+// loader adds as singleSwapNetworks, crossChainNetworks, supportedNetworks (either mode)
+// and the capabilities.singleSwap / crossChain flags.
+const REQUIRED_FIELDS = ['id', 'name', 'logo', 'capabilities', 'feeToken', 'quote', 'buildTx'];
+
+function withNetworks(adapter) {
+    const singleSwapNetworks = providerNetworks(adapter.id, 'singleSwap');
+    const crossChainNetworks = providerNetworks(adapter.id, 'crossChain');
+    return {
+        ...adapter,
+        capabilities: { ...adapter.capabilities, singleSwap: singleSwapNetworks.length > 0, crossChain: crossChainNetworks.length > 0 },
+        singleSwapNetworks,
+        crossChainNetworks,
+        supportedNetworks: [...new Set([...singleSwapNetworks, ...crossChainNetworks])]
+    };
+}
+
+function loadAdapters() {
+    return fs.readdirSync(__dirname)
+        .filter(f => f.endsWith('.js') && f !== 'index.js')
+        .sort()
+        .map(f => {
+            const adapter = require(path.join(__dirname, f));
+            const missing = REQUIRED_FIELDS.filter(k => adapter[k] === undefined);
+            if (missing.length) throw new Error(`Provider ${f} is missing ${missing.join(', ')}`);
+            return withNetworks(adapter);
+        })
+        .filter(a => !a.disabled);
+}
+
+const ADAPTERS = loadAdapters();
+
+// A misspelt provider id in the registry would silently offer nothing
+for (const chain of CHAINS) {
+    for (const id of Object.keys(chain.providers || {})) {
+        if (!ADAPTERS.some(a => a.id === id)) log.warn('chain registry names an unknown or disabled provider', { networkId: chain.networkId, provider: id });
+    }
+}
+
+function all() {
+    return ADAPTERS;
+}
+
+function get(id) {
+    return ADAPTERS.find(a => a.id === id);
+}
+
+// Adapters able to quote this request: network support in its mode and wallet requirements
+function forRequest(params) {
+    const crossChain = params.fromNetworkId !== params.toNetworkId;
+    return ADAPTERS.filter(a => {
+        if (a.capabilities.needsUserAddress && !params.userAddress) return false;
+        const networks = crossChain ? a.crossChainNetworks : a.singleSwapNetworks;
+        return networks.includes(params.fromNetworkId) && networks.includes(params.toNetworkId);
+    });
+}
+
+// Adapters able to price this request. Prices never need a wallet, so needsUserAddress is moot.
+function forPrice(params) {
+    return forRequest({ ...params, userAddress: params.userAddress || 'none' }).filter(a => a.price);
+}
+
+module.exports = { all, get, forRequest, forPrice };
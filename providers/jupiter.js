@@ -1,38 +1,76 @@
 const axios = require('axios');
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+const { TIMEOUT } = require('../lib/config');
+const { SOL_MINT } = require('../lib/tokens');
 
-const FEE_ACCOUNT = process.env.JUPITER_FEE_ACCOUNT; // Your Referral Public Key
-const FEE_BPS = 50; // 0.5% (Basis Points)
+const API = 'https://quote-api.jup.ag/v6';
+const FEE_ACCOUNT = process.env.JUPITER_FEE_ACCOUNT; // Referral token account that collects platformFeeBps
 
-async function getQuote(params) {
-    try {
-        // Only run if Solana
-        if (!params.fromNetworkId.includes('sol')) return null;
+// Base fee plus a typical priority fee, in SOL
+const ESTIMATED_TX_FEE_SOL = 0.0001;
 
-        const url = `https://quote-api.jup.ag/v6/quote`;
-        
-        const response = await axios.get(url, {
-            params: {
-                inputMint: params.fromTokenAddress,
-                outputMint: params.toTokenAddress,
-                amount: params.fromTokenAmount,
-                slippageBps: 50,
-                // --- FEE INJECTION ---
-                platformFeeBps: FEE_BPS 
-                // Note: You must also pass your feeAccount in the 'swap' POST request later
-            }
-        });
+const mint = (address) => address || SOL_MINT;
 
-        const data = response.data;
+async function quote({ params, amount, toDecimals, nativePriceUSD, slippage, fee, signal }) {
+    // Jupiter rejects platformFeeBps when the swap has no feeAccount to pay it into
+    const platformFeeBps = FEE_ACCOUNT ? fee.bps : 0;
+    const resp = await axios.get(`${API}/quote`, {
+        params: {
+            inputMint: mint(params.fromTokenAddress),
+            outputMint: mint(params.toTokenAddress),
+            amount,
+            slippageBps: Math.round(slippage * 100),
+            ...(platformFeeBps ? { platformFeeBps } : {})
+        }, timeout: TIMEOUT, signal
+    });
+    const d = resp.data;
+    if (!d?.outAmount) return null;
 
-        return {
-            toAmount: data.outAmount,
-            // Jupiter returns a transaction in the NEXT step (/swap), not quote.
-            // We return data to pass to build-tx.
-            jupiterQuote: data 
-        };
-    } catch (e) {
-        return null;
-    }
+    return {
+        toAmount: ethers.formatUnits(d.outAmount, toDecimals),
+        minToAmount: ethers.formatUnits(d.otherAmountThreshold, toDecimals),
+        // Jupiter returns the transaction from /swap at build time, not with the quote
+        tx: null,
+        decimals: toDecimals,
+        routesData: [{
+            subRoutes: (d.routePlan || []).map(r => [{ name: r.swapInfo?.label, percent: String(r.percent) }])
+        }],
+        ctx: { jupiterQuote: d },
+        priceImpact: d.priceImpactPct !== undefined ? Number(d.priceImpactPct) * 100 : undefined,
+        noIntegratorFee: !platformFeeBps,
+        fiatFee: parseFloat(new BigNumber(ESTIMATED_TX_FEE_SOL).multipliedBy(nativePriceUSD || 0).toFixed(4))
+    };
 }
 
-module.exports = { getQuote };
\ No newline at end of file
+// Base64 versioned transaction for the wallet to sign, built for the user's key
+async function buildTx(quoteResultCtx, userAddress) {
+    if (!quoteResultCtx.jupiterQuote || !userAddress) return null;
+    const resp = await axios.post(`${API}/swap`, {
+        quoteResponse: quoteResultCtx.jupiterQuote,
+        userPublicKey: userAddress,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        prioritizationFeeLamports: 'auto',
+        ...(FEE_ACCOUNT ? { feeAccount: FEE_ACCOUNT } : {})
+    }, { timeout: TIMEOUT });
+    if (!resp.data?.swapTransaction) return null;
+    return {
+        serializedTransaction: resp.data.swapTransaction,
+        encoding: 'base64',
+        lastValidBlockHeight: resp.data.lastValidBlockHeight
+    };
+}
+
+module.exports = {
+    id: 'SwapJupiter',
+    name: 'Jupiter',
+    logo: 'https://uni.onekey-asset.com/static/logo/jupiter.png',
+    capabilities: { needsUserAddress: false },
+    // The platform fee account holds the output mint
+    feeToken: 'to',
+    quote,
+    // The quote carries no transaction, so it doubles as the price
+    price: quote,
+    buildTx
+};
@@ -1,54 +1,186 @@
-const axios = require('axios');
-
-// Config
-const INTEGRATOR = process.env.LIFI_INTEGRATOR || 'bitrabo';
-const FEE_PERCENT = 0.005; // 0.5% (Matches your other providers)
-const FEE_WALLET = process.env.BITRABO_FEE_RECEIVER; 
-
-async function getQuote(params) {
-    try {
-        const fromChain = parseInt(params.fromNetworkId.replace('evm--', ''));
-        const toChain = parseInt(params.toNetworkId.replace('evm--', ''));
-        
-        // Li.Fi API URL
-        const url = 'https://li.fi/v1/quote';
-
-        const response = await axios.get(url, {
-            params: {
-                fromChain: fromChain,
-                toChain: toChain,
-                fromToken: params.fromTokenAddress,
-                toToken: params.toTokenAddress,
-                fromAmount: params.fromTokenAmount,
-                fromAddress: params.userAddress,
-                slippage: 0.005, // 0.5% slippage
-                // --- FEE INJECTION ---
-                integrator: INTEGRATOR,
-                fee: FEE_PERCENT,
-                referrer: FEE_WALLET
-            }
-        });
-
-        const data = response.data;
-
-        // Normalize response to match your server's standard format
-        return {
-            toAmount: data.estimate.toAmount,
-            estimatedGas: data.estimate.gasCosts?.[0]?.amount || 500000,
-            // Li.Fi returns the transaction object directly in the quote response
-            tx: {
-                to: data.transactionRequest.to,
-                value: data.transactionRequest.value,
-                data: data.transactionRequest.data,
-                gasLimit: data.transactionRequest.gasLimit
-            }
-        };
-
-    } catch (e) {
-        // If Li.Fi bans us (429), we return null so the main server can use the Mock fallback
-        console.error("[Li.Fi Error]", e.response?.data?.message || e.message);
+const { ethers } = require('ethers');
+const { getRoutes, getStepTransaction, getStatus: getLifiStatus } = require('@lifi/sdk');
+const { LIFI_INTEGRATOR, DEFAULT_TAKER } = require('../lib/config');
+const { toHex } = require('../lib/utils');
+const { log } = require('../lib/logger');
+
+const sumUSD = (costs) => (costs || []).reduce((sum, c) => sum + Number(c.amountUSD || 0), 0);
+
+// OneKey routesData: one sub-route per tool the route passes through, in order
+function routesDataOf(route) {
+    const tools = route.steps.flatMap(s => (s.includedSteps?.length ? s.includedSteps : [s]));
+    return [{
+        subRoutes: tools.map(t => [{ name: t.toolDetails?.name || t.tool, logo: t.toolDetails?.logoURI, percent: "100" }])
+    }];
+}
+
+function stepPending(message) {
+    const err = new Error(message);
+    err.code = 'STEP_NOT_READY';
+    return err;
+}
+
+async function bestRoute({ params, amount, fromChain, toChain, slippage, fee, signal }, fromAddress) {
+    const routes = await getRoutes({
+        fromChainId: fromChain,
+        toChainId: toChain,
+        fromTokenAddress: params.fromTokenAddress || '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+        toTokenAddress: params.toTokenAddress || '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+        fromAmount: amount,
+        fromAddress,
+        options: { 
+            integrator: LIFI_INTEGRATOR, 
+            fee: fee.fraction, 
+            slippage: slippage / 100,
+            referrer: fee.recipient 
+        }
+    }, { signal });
+
+    if (!routes?.routes?.length) {
+        log.debug('LiFi returned no routes');
         return null;
     }
+    return routes.routes[0];
+}
+
+// Amounts, fees and timing of a route, summed over every step since each one is paid for
+function summarize(route) {
+    const protocolFeeUSD = route.steps.reduce((sum, s) => sum + sumUSD(s.estimate?.feeCosts), 0);
+    const gasUSD = route.steps.reduce((sum, s) => sum + sumUSD(s.estimate?.gasCosts), 0);
+    const fromUSD = Number(route.fromAmountUSD);
+    return {
+        toAmount: ethers.formatUnits(route.toAmount, route.toToken.decimals),
+        routesData: routesDataOf(route),
+        fiatFee: protocolFeeUSD + gasUSD,
+        protocolFeeUSD,
+        priceImpact: fromUSD > 0 ? (1 - Number(route.toAmountUSD) / fromUSD) * 100 : undefined,
+        estimatedTime: route.steps.reduce((sum, s) => sum + (s.estimate?.executionDuration || 0), 0) || undefined
+    };
+}
+
+async function quote(ctx) {
+    const { params, signal } = ctx;
+    const route = await bestRoute(ctx, params.userAddress || DEFAULT_TAKER);
+    if (!route) return null;
+    const step = route.steps[0];
+    const txResponse = await getStepTransaction(step, { signal });
+
+    // LiFi returns nested transactionRequest
+    const txRequest = txResponse?.transactionRequest || {};
+
+    if (!txRequest.to || !ethers.isAddress(txRequest.to) || !txRequest.data) {
+        log.warn('LiFi returned an invalid transactionRequest', { txRequest });
+        return null;
+    }
+
+    const richCtx = { 
+        lifiQuoteResultCtx: { stepInfo: step, estimate: step.estimate, includedSteps: route.steps }, 
+        lifiToNetworkId: params.toNetworkId 
+    };
+
+    return {
+        ...summarize(route),
+        minToAmount: ethers.formatUnits(route.toAmountMin, route.toToken.decimals),
+        tx: txResponse,  // Full response with nested transactionRequest
+        decimals: route.toToken.decimals,
+        symbol: route.toToken.symbol,
+        ctx: richCtx,
+        spender: step.estimate?.approvalAddress || txRequest.to
+    };
+}
+
+// Routes alone carry amounts and costs; skipping getStepTransaction leaves out the calldata
+async function price(ctx) {
+    const route = await bestRoute(ctx);
+    return route ? summarize(route) : null;
+}
+
+// Unwrap the nested transactionRequest; the wallet expects a hex value for LiFi
+function buildTx(quoteResultCtx) {
+    const txObj = quoteResultCtx.tx?.transactionRequest || quoteResultCtx.tx;
+    if (!txObj) return null;
+    return { ...txObj, value: toHex(txObj.value) };
+}
+
+function stepCount(quoteResultCtx) {
+    return quoteResultCtx.lifiQuoteResultCtx?.includedSteps?.length || 1;
+}
+
+/**
+ * Transaction for step `stepIndex` of a multi-step route, once the previous step
+ * (`previousTxHash`) has landed. The step is rebuilt with the amount actually
+ * received instead of the quote's estimate.
+ */
+async function buildNextStep(quoteResultCtx, { stepIndex, previousTxHash }) {
+    const steps = quoteResultCtx.lifiQuoteResultCtx?.includedSteps || [];
+    const step = steps[stepIndex];
+    const prev = steps[stepIndex - 1];
+    if (!step || !prev) return null;
+
+    const s = await getLifiStatus({
+        txHash: previousTxHash, bridge: prev.tool,
+        fromChain: prev.action.fromChainId, toChain: prev.action.toChainId
+    });
+    if (s.status !== 'DONE') throw stepPending(`Step ${stepIndex} is waiting for the previous step (${s.substatus || s.status})`);
+    if (s.substatus === 'REFUNDED') throw new Error('Previous step was refunded');
+
+    const received = s.receiving;
+    if (received?.token && received.token.address.toLowerCase() !== step.action.fromToken.address.toLowerCase()) {
+        throw new Error(`Previous step delivered ${received.token.symbol} instead of ${step.action.fromToken.symbol}`);
+    }
+    const fromAmount = received?.amount || step.action.fromAmount;
+    const txResponse = await getStepTransaction({ ...step, action: { ...step.action, fromAmount } });
+    const txRequest = txResponse?.transactionRequest;
+    if (!txRequest?.to || !txRequest.data) return null;
+
+    return {
+        tx: { ...txRequest, value: toHex(txRequest.value) },
+        fromAmount: ethers.formatUnits(fromAmount, step.action.fromToken.decimals),
+        toAmount: ethers.formatUnits(txResponse.estimate.toAmount, step.action.toToken.decimals),
+        spender: txResponse.estimate.approvalAddress || txRequest.to,
+        fromTokenAddress: step.action.fromToken.address,
+        fromChainId: step.action.fromChainId
+    };
+}
+
+function normalizeStatus({ status, substatus }) {
+    if (status === 'DONE') return substatus === 'REFUNDED' ? 'refunded' : 'done';
+    if (status === 'FAILED' || status === 'INVALID') return 'failed';
+    if (status === 'PENDING' && substatus !== 'WAIT_SOURCE_CONFIRMATIONS') return 'bridging';
+    return 'pending';
+}
+
+// Bridge progress from LiFi's status API, keyed by the source tx hash
+async function getStatus({ txHash, quoteResultCtx }) {
+    const step = quoteResultCtx.lifiQuoteResultCtx?.stepInfo;
+    const s = await getLifiStatus({
+        txHash,
+        bridge: step?.tool,
+        fromChain: step?.action?.fromChainId,
+        toChain: step?.action?.toChainId
+    });
+    const receiving = s.receiving || {};
+    return {
+        status: normalizeStatus(s),
+        providerStatus: s.substatus ? `${s.status}:${s.substatus}` : s.status,
+        sourceTxHash: txHash,
+        destinationTxHash: receiving.txHash || null,
+        receivedAmount: receiving.amount && receiving.token ? ethers.formatUnits(receiving.amount, receiving.token.decimals) : null,
+        receivedTokenSymbol: receiving.token?.symbol || null
+    };
 }
 
-module.exports = { getQuote };
+module.exports = {
+    id: 'SwapLifi',
+    name: 'Li.fi (Bitrabo)',
+    logo: 'https://uni.onekey-asset.com/static/logo/lifi.png',
+    capabilities: { needsUserAddress: false },
+    // LiFi deducts the integrator fee from the source amount
+    feeToken: 'from',
+    quote,
+    price,
+    buildTx,
+    stepCount,
+    buildNextStep,
+    getStatus
+};
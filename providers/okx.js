@@ -1,58 +1,77 @@
 const axios = require('axios');
 const crypto = require('crypto');
-
-const API_KEY = process.env.OKX_API_KEY;
-const SECRET_KEY = process.env.OKX_SECRET_KEY;
-const PASSPHRASE = process.env.OKX_PASSPHRASE;
-const PROJECT_ID = process.env.OKX_PROJECT_ID; 
+const { ethers } = require('ethers');
+const { KEYS, TIMEOUT } = require('../lib/config');
+const { norm, getFakeRoutes, buildEvmTx } = require('../lib/utils');
+const { estimateNetworkFeeUSD } = require('../lib/gasOracle');
 
 // Helper to sign OKX requests
 function sign(timestamp, method, requestPath, body) {
     const preHash = timestamp + method + requestPath + (body ? JSON.stringify(body) : '');
-    const hmac = crypto.createHmac('sha256', SECRET_KEY);
-    return hmac.update(preHash).digest('base64');
+    return crypto.createHmac('sha256', KEYS.OKX.SECRET).update(preHash).digest('base64');
 }
 
-async function getQuote(params) {
-    try {
-        const chainId = parseInt(params.fromNetworkId.replace('evm--', ''));
-        const path = `/api/v5/dex/aggregator/swap?chainId=${chainId}&amount=${params.fromTokenAmount}&fromTokenAddress=${params.fromTokenAddress}&toTokenAddress=${params.toTokenAddress}&slippage=0.005&userWalletAddress=${params.userAddress}`;
-        
-        // Fee params often vary by agreement, but standard is:
-        // &feePercent=0.005&feeRecipient=YOUR_WALLET
-        // Note: Check your specific OKX integration docs, they sometimes require whitelisting.
-        
-        const timestamp = new Date().toISOString();
-        const signature = sign(timestamp, 'GET', path, null);
-
-        const response = await axios.get(`https://www.okx.com${path}`, {
-            headers: {
-                'OK-ACCESS-KEY': API_KEY,
-                'OK-ACCESS-SIGN': signature,
-                'OK-ACCESS-TIMESTAMP': timestamp,
-                'OK-ACCESS-PASSPHRASE': PASSPHRASE,
-                'X-Simulated-Trading': '0'
-            }
-        });
-
-        const data = response.data.data[0]; // OKX returns array
+// Signed GET against the aggregator API; resolves the first data item or null
+async function okxGet(endpoint, { params, amount, fromChain, fee, signal }, query = '') {
+    const path = `/api/v5/dex/aggregator/${endpoint}?chainId=${fromChain}&amount=${amount}&fromTokenAddress=${norm(params.fromTokenAddress)}&toTokenAddress=${norm(params.toTokenAddress)}`
+        + query + (fee.bps && fee.recipient ? `&feePercent=${fee.percent}&toTokenReferrerWalletAddress=${fee.recipient}` : '');
+    const ts = new Date().toISOString();
+    const resp = await axios.get(`https://www.okx.com${path}`, {
+        headers: {
+            'OK-ACCESS-KEY': KEYS.OKX.KEY,
+            'OK-ACCESS-SIGN': sign(ts, 'GET', path, null),
+            'OK-ACCESS-TIMESTAMP': ts,
+            'OK-ACCESS-PASSPHRASE': KEYS.OKX.PASSPHRASE,
+            'X-Simulated-Trading': '0'
+        }, timeout: TIMEOUT, signal
+    });
+    if (resp.data.code !== '0') throw new Error(`OKX error ${resp.data.code}: ${resp.data.msg}`);
+    return resp.data.data?.[0] || null;
+}
 
-        if (!data || !data.tx) return null;
+async function quote(ctx) {
+    const { params, fromChain, toDecimals, nativePriceUSD, slippage } = ctx;
+    const d = await okxGet('swap', ctx, `&userWalletAddress=${params.userAddress}&slippage=${slippage / 100}`);
+    if (!d) return null;
+    const outAmount = d.toTokenAmount || d.routerResult?.toTokenAmount;
+    const fiatFee = await estimateNetworkFeeUSD({
+        chainId: fromChain, tx: d.tx, gasLimit: d.tx.gas, gasPrice: d.tx.gasPrice, nativePriceUSD
+    });
+    return {
+        toAmount: ethers.formatUnits(outAmount, toDecimals),
+        minToAmount: d.tx.minReceiveAmount ? ethers.formatUnits(d.tx.minReceiveAmount, toDecimals) : undefined,
+        tx: { to: d.tx.to, value: d.tx.value, data: d.tx.data, gasLimit: d.tx.gas },
+        decimals: toDecimals, symbol: "UNK", routesData: getFakeRoutes("OKX", ""),
+        ctx: { okxToNetworkId: params.toNetworkId, okxChainId: fromChain }, fiatFee,
+        // feePercent is only sent with a referrer wallet to pay it to
+        noIntegratorFee: !(ctx.fee.bps && ctx.fee.recipient)
+    };
+}
 
-        return {
-            toAmount: data.toTokenAmount,
-            estimatedGas: data.tx.gas,
-            tx: {
-                to: data.tx.to,
-                value: data.tx.value,
-                data: data.tx.data,
-                gasLimit: data.tx.gas
-            }
-        };
-    } catch (e) {
-        console.error("[OKX Error]", e.response?.data || e.message);
-        return null;
-    }
+// Indicative price from /quote, which needs no wallet
+async function price(ctx) {
+    const { fromChain, toDecimals, nativePriceUSD } = ctx;
+    const d = await okxGet('quote', ctx);
+    if (!d?.toTokenAmount) return null;
+    return {
+        toAmount: ethers.formatUnits(d.toTokenAmount, toDecimals),
+        fiatFee: await estimateNetworkFeeUSD({ chainId: fromChain, tx: null, gasLimit: d.estimateGasFee, nativePriceUSD }),
+        // OKX reports the impact as a negative percentage
+        priceImpact: d.priceImpactPercentage !== undefined ? Math.abs(Number(d.priceImpactPercentage)) : undefined,
+        noIntegratorFee: !(ctx.fee.bps && ctx.fee.recipient),
+        routesData: getFakeRoutes("OKX", "")
+    };
 }
 
-module.exports = { getQuote };
\ No newline at end of file
+module.exports = {
+    id: 'SwapOKX',
+    name: 'OKX Dex',
+    logo: 'https://uni.onekey-asset.com/static/logo/OKXDex.png',
+    // OKX builds calldata for a real wallet only, no placeholder taker
+    capabilities: { needsUserAddress: true },
+    // toTokenReferrerWalletAddress: the fee comes out of the output
+    feeToken: 'to',
+    quote,
+    price,
+    buildTx: (quoteResultCtx) => buildEvmTx(quoteResultCtx.tx)
+};
@@ -1,436 +1,916 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { createProxyMiddleware } = require('http-proxy-middleware');
 const BigNumber = require('bignumber.js');
 const { ethers } = require('ethers');
-const { createConfig, getRoutes, getToken, getStepTransaction } = require('@lifi/sdk');
+const { createConfig } = require('@lifi/sdk');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-const crypto = require('crypto');
+const { LIFI_INTEGRATOR, LIFI_API_KEY, TIMEOUT } = require('./lib/config');
+const { withTimeout, classifyError, toBaseUnits } = require('./lib/utils');
+const { chainIdOf, networksByIds, isEvmNetwork } = require('./lib/networks');
+const { rankQuotes } = require('./lib/ranking');
+const tokens = require('./lib/tokens');
+const { checkAllowance } = require('./lib/allowance');
+const { getRpcProvider } = require('./lib/rpc');
+const { estimateSlippage, resolveSlippage } = require('./lib/slippage');
+const { resolveFee, feeFromNetOutput, feeFromInput, NO_FEE } = require('./lib/fees');
+const ledger = require('./lib/ledger');
+const { getSwapStatus } = require('./lib/swapStatus');
+const simulation = require('./lib/simulation');
+const { getGasFees, feeFieldsFor } = require('./lib/gasOracle');
+const health = require('./lib/health');
+const quoteCache = require('./lib/quoteCache');
+const priceImpact = require('./lib/priceImpact');
+const { createQuoteStoreFromEnv, buildRecord, CONTINUATION_TTL_MS } = require('./lib/quoteStore');
+const { ERROR_CODES, SwapError } = require('./lib/errors');
+const validate = require('./lib/validate');
+const oneKeyProxy = require('./lib/oneKeyProxy');
+const clients = require('./lib/clients');
+const rateLimit = require('./lib/rateLimit');
+const metrics = require('./lib/metrics');
+const { log } = require('./lib/logger');
+const providers = require('./providers');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
-// --- CONFIG ---
-const FEE_RECEIVER = process.env.BITRABO_FEE_RECEIVER;
-const FEE_PERCENT = Number(process.env.BITRABO_FEE || 0.0025);
-const LIFI_INTEGRATOR = process.env.BITRABO_INTEGRATOR || 'bitrabo';
-const LIFI_API_KEY = process.env.LIFI_API_KEY; // ← Critical! Must be in .env
-const TIMEOUT = 15000;
-
 // Initialize LiFi config
 createConfig({ 
   integrator: LIFI_INTEGRATOR, 
-  fee: FEE_PERCENT,
   apiKey: LIFI_API_KEY || undefined
 });
 
-const GAS_PRICE_ESTIMATES = {
-    1: "30000000000",
-    56: "3000000000",
-    137: "150000000000",
-    10: "100000000",
-    42161: "100000000",
-    8453: "100000000",
-    43114: "25000000000"
-};
+// TRUST_PROXY: hops of reverse proxy in front of us (or "true", or a subnet list), so
+// req.ip, and with it the per-IP rate limit, is the caller rather than the load balancer
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
+app.use(cors({ origin: clients.CORS_ORIGINS, exposedHeaders: ['x-request-id', 'Retry-After'] }));
+
+// Correlation id: the caller's x-request-id or a fresh one, echoed back and bound to
+// every log line of the request. Quote streams use it as their eventId, so a build-tx
+// can be traced back through the stored quote's eventId.
+const REQUEST_ID = /^[\w-]{8,64}$/;
+app.use((req, res, next) => {
+    const started = Date.now();
+    req.id = REQUEST_ID.test(req.get('x-request-id') || '') ? req.get('x-request-id') : uuidv4();
+    req.log = log.child({ requestId: req.id });
+    res.setHeader('x-request-id', req.id);
+    res.on('close', () => {
+        req.log.info('request', { method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - started });
+    });
+    next();
+});
+const jsonParser = express.json();
+const ok = (data) => ({ code: 0, message: "Success", data });
+const fail = (code, message) => ({ code, message, data: null });
 
-const KEYS = {
-    ZEROX: process.env.ZEROX_API_KEY ? process.env.ZEROX_API_KEY.trim() : undefined,
-    ONEINCH: process.env.ONEINCH_API_KEY ? process.env.ONEINCH_API_KEY.trim() : undefined,
-    CHANGEHERO: process.env.CHANGEHERO_API_KEY ? process.env.CHANGEHERO_API_KEY.trim() : undefined,
-    OKX: {
-        KEY: process.env.OKX_API_KEY ? process.env.OKX_API_KEY.trim() : undefined,
-        SECRET: process.env.OKX_SECRET_KEY ? process.env.OKX_SECRET_KEY.trim() : undefined,
-        PASSPHRASE: process.env.OKX_PASSPHRASE ? process.env.OKX_PASSPHRASE.trim() : undefined
+// Answers INVALID_PARAMS naming the bad field unless req[source] matches the schema
+const validated = (schema, source = 'query') => (req, res, next) => {
+    try {
+        validate.check(req[source], schema);
+        next();
+    } catch (e) {
+        res.json(fail(e.code, e.message));
     }
 };
 
-app.use(cors({ origin: '*' }));
-const jsonParser = express.json();
-const ok = (data) => ({ code: 0, message: "Success", data });
+// Quotes are kept server-side so build-tx never trusts client-supplied calldata
+const quoteStore = createQuoteStoreFromEnv();
+const rateLimiter = rateLimit.createRateLimiter(rateLimit.createRateStoreFromEnv());
 
 // ==================================================================
-// HELPERS
+// METRICS
 // ==================================================================
-function toHex(val) {
-    if (!val || val === '0') return "0x0";
-    try {
-        if (val.toString().startsWith('0x')) return val.toString();
-        return "0x" + new BigNumber(val).toString(16);
-    } catch { return "0x0"; }
+const quoteRequests = metrics.counter('bitrabo_quote_requests_total',
+    'Quote and price fan-outs by outcome (ok, no_quotes, error)', ['type', 'outcome']);
+const quoteDuration = metrics.histogram('bitrabo_quote_duration_seconds',
+    'Time until every provider of a fan-out has settled', ['type']);
+const providerCalls = metrics.counter('bitrabo_provider_requests_total',
+    'Upstream quote and price calls by outcome (ok, no_route or the error class)', ['provider', 'network', 'method', 'outcome']);
+const providerLatency = metrics.histogram('bitrabo_provider_latency_seconds',
+    'Upstream quote and price call latency', ['provider', 'method']);
+const builtTxs = metrics.counter('bitrabo_build_tx_total',
+    'Transactions handed out by build-tx and next-step', ['provider', 'network', 'step']);
+const buildTxErrors = metrics.counter('bitrabo_build_tx_errors_total', 'Failed build-tx and next-step calls by error code', ['code']);
+const rateLimited = metrics.counter('bitrabo_rate_limited_total',
+    'Requests refused with 429 by request class and the bucket that ran out (ip, client)', ['class', 'scope']);
+metrics.collected('bitrabo_quote_cache_lookups_total', 'Quote cache lookups by result (hit, coalesced, miss)', ['result'],
+    () => {
+        const { hits, coalesced, misses } = quoteCache.stats();
+        return [{ labels: { result: 'hit' }, value: hits }, { labels: { result: 'coalesced' }, value: coalesced }, { labels: { result: 'miss' }, value: misses }];
+    }, 'counter');
+metrics.collected('bitrabo_quote_cache_entries', 'Fan-outs held in the quote cache', [], () => [{ value: quoteCache.stats().entries }]);
+metrics.collected('bitrabo_quote_cache_inflight', 'Fan-outs currently running', [], () => [{ value: quoteCache.stats().inflight }]);
+const BREAKER_STATES = { closed: 0, 'half-open': 1, open: 2 };
+metrics.collected('bitrabo_provider_breaker_state', 'Circuit breaker per provider and network: 0 closed, 1 half-open, 2 open',
+    ['provider', 'network'], () => health.report().map(r => ({ labels: { provider: r.provider, network: r.networkId }, value: BREAKER_STATES[r.breaker] })));
+
+// Wraps a fan-out resolving { ctx, entries } with request counts and timing
+function measuredFanOut(type, fanOut) {
+    return async (...args) => {
+        const started = Date.now();
+        try {
+            const result = await fanOut(...args);
+            quoteRequests.inc({ type, outcome: result.entries.length ? 'ok' : 'no_quotes' });
+            return result;
+        } catch (e) {
+            quoteRequests.inc({ type, outcome: 'error' });
+            throw e;
+        } finally {
+            quoteDuration.observe({ type }, metrics.secondsSince(started));
+        }
+    };
 }
 
-function norm(addr) {
-    if (!addr || addr === '' || addr === '0x0000000000000000000000000000000000000000') {
-        return '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+// Identifies the caller (lib/clients.js) and spends a token of its `requestClass` buckets
+// (lib/rateLimit.js); 401 for a bad or missing key, 429 with Retry-After when out of tokens
+const limited = (requestClass) => async (req, res, next) => {
+    try {
+        req.client = clients.identify({ apiKey: req.get('x-api-key'), origin: req.get('origin') });
+    } catch (e) {
+        return res.status(401).json(fail(e.code, e.message));
     }
-    return addr.toLowerCase();
-}
-
-function getFakeRoutes(providerName, logo) {
-    if (providerName.includes('OKX')) return [{ subRoutes: [[{ name: "PancakeSwap V3", percent: "100", logo: "https://static.okx.com/cdn/web3/dex/logo/pancakeswap_v3.png" }]] }];
-    if (providerName.includes('1inch')) return [{ part: 100, subRoutes: [[{ name: "PMM12", part: 100, logo: "https://cdn.1inch.io/liquidity-sources-logo/pmm_color.png" }]] }];
-    if (providerName.includes('0x')) return [{ part: 100, subRoutes: [[{ name: "Uniswap V3" }]] }];
-    return [{ subRoutes: [[{ name: providerName, percent: "100", logo: logo }]] }];
-}
-
-function calculateFiatFee(gasLimit, gasPrice, nativePriceUSD, chainId) {
+    if (req.client) req.log = req.log.child({ client: req.client.id });
+    let verdict;
     try {
-        const priceWei = gasPrice ? new BigNumber(gasPrice) : new BigNumber(GAS_PRICE_ESTIMATES[chainId] || "3000000000");
-        const limit = new BigNumber(gasLimit || 200000);
-        const totalWei = limit.multipliedBy(priceWei);
-        const totalNative = totalWei.div(1e18);
-        const usdFee = totalNative.multipliedBy(nativePriceUSD);
-        return parseFloat(usdFee.toFixed(2));
+        // identify() refuses unknown keys, so a key here is the client's own
+        verdict = await rateLimiter.take(requestClass, { ip: req.ip, client: req.client, byApiKey: Boolean(req.get('x-api-key')) });
     } catch (e) {
-        return 0.15;
+        // A shared store outage must not take quoting down with it
+        req.log.error('rate limit store unavailable', { err: e });
+        return next();
     }
-}
+    if (verdict.allowed) return next();
+    const retryAfter = Math.max(1, Math.ceil(verdict.retryAfterMs / 1000));
+    rateLimited.inc({ class: requestClass, scope: verdict.scope });
+    req.log.warn('rate limited', { class: requestClass, scope: verdict.scope, ip: req.ip, retryAfter });
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json(fail(ERROR_CODES.RATE_LIMITED, `Too many requests, retry in ${retryAfter}s`));
+};
 
 // ==================================================================
-// PROVIDER QUOTES
+// QUOTE GENERATION & ENDPOINTS
 // ==================================================================
-async function getZeroXQuote(params, amount, chainId, toDecimals, nativePriceUSD) {
-    try {
-        const resp = await axios.get(`https://api.0x.org/swap/allowance-holder/quote`, {
-            headers: { '0x-api-key': KEYS.ZEROX, '0x-version': 'v2' },
-            params: {
-                chainId, sellToken: norm(params.fromTokenAddress), buyToken: norm(params.toTokenAddress),
-                sellAmount: amount, taker: params.userAddress || "0x5555555555555555555555555555555555555555",
-                swapFeeRecipient: FEE_RECEIVER, swapFeeBps: 25, skipValidation: true
-            }, timeout: TIMEOUT
-        });
-        const d = resp.data;
-        const fiatFee = calculateFiatFee(d.transaction.gas, d.transaction.gasPrice, nativePriceUSD, chainId);
+app.get(['/swap/v1/providers/list', '/providers/list'], (req, res) => {
+    const list = providers.all().map(p => {
+        const disabled = health.disabledNetworks(p.id).filter(id => p.supportedNetworks.includes(id));
         return {
-            toAmount: ethers.formatUnits(d.buyAmount, toDecimals),
-            tx: { to: d.transaction.to, value: d.transaction.value, data: d.transaction.data, gasLimit: d.transaction.gas },
-            decimals: toDecimals, symbol: "UNK", routesData: getFakeRoutes("0x", ""),
-            ctx: { zeroxChainId: chainId }, fiatFee
+            providerInfo: { provider: p.id, name: p.name, logo: p.logo, protocol: "Swap" },
+            isSupportSingleSwap: p.capabilities.singleSwap, isSupportCrossChain: p.capabilities.crossChain,
+            supportSingleSwapNetworks: networksByIds(p.singleSwapNetworks),
+            supportCrossChainNetworks: networksByIds(p.crossChainNetworks),
+            providerServiceDisable: disabled.length === p.supportedNetworks.length,
+            serviceDisableNetworks: networksByIds(disabled)
         };
-    } catch (e) { console.log(`0x failed: ${e.message}`); return null; }
-}
+    });
+    res.json(ok(list));
+});
+
+app.get(['/swap/v1/check-support', '/check-support'], validated(validate.SCHEMAS.checkSupport), (req, res) => {
+    const { networkId } = req.query;
+    const supported = providers.all().some(p => p.supportedNetworks.includes(networkId));
+    res.json(ok([{ status: supported ? 'available' : 'unavailable', networkId }]));
+});
+
+// Live slow/normal/fast gas price tiers for an EVM network
+app.get(['/swap/v1/gas-fees', '/gas-fees'], validated(validate.SCHEMAS.network), async (req, res) => {
+    const { networkId } = req.query;
+    if (!isEvmNetwork(networkId)) return res.json(ok(null));
+    res.json(ok(await getGasFees(chainIdOf(networkId))));
+});
 
-async function getOneInchQuote(params, amount, chainId, toDecimals, nativePriceUSD) {
+// Current allowance plus the approve transaction(s) the wallet must sign before build-tx.
+// `amount` is in token units like fromTokenAmount; approveType=unlimited approves MaxUint256.
+app.get(['/swap/v1/allowance', '/allowance'], limited('lookup'), validated(validate.SCHEMAS.allowance), async (req, res) => {
+    const { networkId, tokenAddress, spenderAddress, walletAddress, amount, approveType } = req.query;
+    // Only EVM chains have ERC-20 allowances
+    if (!isEvmNetwork(networkId)) {
+        return res.json(ok({ allowance: null, spender: spenderAddress, sufficient: true, shouldResetApprove: false, approveTxs: [] }));
+    }
     try {
-        const resp = await axios.get(`https://api.1inch.dev/swap/v5.2/${chainId}/swap`, {
-            headers: { Authorization: `Bearer ${KEYS.ONEINCH}` },
-            params: {
-                src: norm(params.fromTokenAddress), dst: norm(params.toTokenAddress),
-                amount, from: params.userAddress || "0x5555555555555555555555555555555555555555",
-                slippage: 1, fee: FEE_PERCENT * 100, referrer: FEE_RECEIVER, disableEstimate: true
-            }, timeout: TIMEOUT
+        const chainId = chainIdOf(networkId);
+        const token = await tokens.getTokenInfo(chainId, tokenAddress);
+        const rawAmount = toBaseUnits(amount, token.decimals);
+        const check = await checkAllowance({
+            chainId, token: token.address, owner: walletAddress, spender: spenderAddress,
+            amount: rawAmount, unlimited: approveType === 'unlimited'
         });
-        const d = resp.data;
-        const dstAmount = d.toTokenAmount || d.dstAmount || d.toAmount;
-        if (!dstAmount) throw new Error("No amount");
-        const fiatFee = calculateFiatFee(d.tx.gas, d.tx.gasPrice, nativePriceUSD, chainId);
-        return {
-            toAmount: ethers.formatUnits(dstAmount, toDecimals),
-            tx: { to: d.tx.to, value: d.tx.value, data: d.tx.data, gasLimit: d.tx.gas },
-            decimals: toDecimals, symbol: "UNK", routesData: getFakeRoutes("1inch", ""),
-            ctx: { oneInchChainId: 1 }, fiatFee
-        };
-    } catch (e) { console.log(`1inch failed: ${e.message}`); return null; }
+        res.json(ok({
+            allowance: check.allowance === null ? null : ethers.formatUnits(check.allowance, token.decimals),
+            spender: spenderAddress,
+            sufficient: check.sufficient,
+            shouldResetApprove: check.shouldResetApprove,
+            approveTxs: check.approveTxs.map(tx => ({ ...tx, from: walletAddress }))
+        }));
+    } catch (e) {
+        req.log.warn('allowance unavailable', { networkId, tokenAddress, err: e });
+        if (e instanceof SwapError) return res.json(fail(e.code, e.message));
+        res.json(fail(ERROR_CODES.ALLOWANCE_UNAVAILABLE, 'Could not read the token allowance, please retry'));
+    }
+});
+
+async function buildQuoteContext(params, signal, log) {
+    const fromChain = chainIdOf(params.fromNetworkId);
+    const toChain = chainIdOf(params.toNetworkId);
+
+    const [fromToken, toToken, native] = await Promise.all([
+        tokens.getNetworkTokenInfo(params.fromNetworkId, params.fromTokenAddress, { signal }),
+        tokens.getNetworkTokenInfo(params.toNetworkId, params.toTokenAddress, { signal }),
+        tokens.getNetworkTokenInfo(params.fromNetworkId, '', { signal })
+    ]);
+    const amount = toBaseUnits(params.fromTokenAmount, fromToken.decimals).toString();
+    if (amount === '0') throw new SwapError(ERROR_CODES.INVALID_PARAMS, `fromTokenAmount is below the smallest ${fromToken.symbol} unit`);
+
+    const autoSlippage = estimateSlippage(fromToken, toToken, { crossChain: params.fromNetworkId !== params.toNetworkId });
+    const slippage = resolveSlippage(params.slippage, autoSlippage);
+    const amountUSD = new BigNumber(params.fromTokenAmount).multipliedBy(fromToken.priceUSD || 0).toNumber();
+    const fee = resolveFee({ fromChain, fromToken, toToken, amountUSD });
+
+    log.info('quote context', {
+        fromNetworkId: params.fromNetworkId, toNetworkId: params.toNetworkId,
+        fromToken: fromToken.symbol, toToken: toToken.symbol, nativePriceUSD: native.priceUSD, slippage
+    });
+    return {
+        params, amount, fromChain, toChain, fromToken, toToken,
+        toDecimals: toToken.decimals, nativePriceUSD: native.priceUSD, toPriceUSD: toToken.priceUSD,
+        slippage, autoSlippage, fee, signal, log
+    };
 }
 
-async function getOkxQuote(params, amount, chainId, toDecimals, nativePriceUSD) {
-    try {
-        if (!params.userAddress) return null;
-        const path = `/api/v5/dex/aggregator/swap?chainId=${chainId}&amount=${amount}&fromTokenAddress=${norm(params.fromTokenAddress)}&toTokenAddress=${norm(params.toTokenAddress)}&userWalletAddress=${params.userAddress}&slippage=0.005`;
-        const ts = new Date().toISOString();
-        const sign = crypto.createHmac('sha256', KEYS.OKX.SECRET).update(ts + 'GET' + path).digest('base64');
-        const resp = await axios.get(`https://www.okx.com${path}`, {
-            headers: {
-                'OK-ACCESS-KEY': KEYS.OKX.KEY,
-                'OK-ACCESS-SIGN': sign,
-                'OK-ACCESS-TIMESTAMP': ts,
-                'OK-ACCESS-PASSPHRASE': KEYS.OKX.PASSPHRASE,
-                'X-Simulated-Trading': '0'
-            }, timeout: TIMEOUT
-        });
-        if (resp.data.code !== '0' || !resp.data.data?.[0]) return null;
-        const d = resp.data.data[0];
-        const outAmount = d.toTokenAmount || d.routerResult?.toTokenAmount;
-        const fiatFee = calculateFiatFee(d.tx.gas, d.tx.gasPrice, nativePriceUSD, chainId);
-        return {
-            toAmount: ethers.formatUnits(outAmount, toDecimals),
-            tx: { to: d.tx.to, value: d.tx.value, data: d.tx.data, gasLimit: d.tx.gas },
-            decimals: toDecimals, symbol: "UNK", routesData: getFakeRoutes("OKX", ""),
-            ctx: { okxToNetworkId: params.toNetworkId, okxChainId: chainId }, fiatFee
-        };
-    } catch (e) { console.log(`OKX failed: ${e.message}`); return null; }
+// Contract the wallet approves for the quote's tx: the adapter's spender, else the tx target
+function spenderOf(q) {
+    return q.spender || q.tx?.transactionRequest?.to || q.tx?.to;
 }
 
-async function getLifiQuote(params, amount, fromChain, toChain) {
+// OneKey allowanceResult for a quote: set only when the wallet must approve first
+async function getAllowanceResult(ctx, q) {
+    const owner = ctx.params.userAddress;
+    const spender = spenderOf(q);
+    if (!owner || !spender || !isEvmNetwork(ctx.params.fromNetworkId) || ctx.fromToken.address === tokens.NATIVE) return null;
+    if (!getRpcProvider(ctx.fromChain)) return null;
     try {
-        const routesPromise = getRoutes({
-            fromChainId: fromChain,
-            toChainId: toChain,
-            fromTokenAddress: params.fromTokenAddress || '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
-            toTokenAddress: params.toTokenAddress || '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
-            fromAmount: amount,
-            fromAddress: params.userAddress || "0x5555555555555555555555555555555555555555",
-            options: { 
-                integrator: LIFI_INTEGRATOR, 
-                fee: FEE_PERCENT, 
-                referrer: FEE_RECEIVER 
-            }
-        });
+        const check = await checkAllowance({ chainId: ctx.fromChain, token: ctx.fromToken.address, owner, spender, amount: ctx.amount });
+        if (check.sufficient) return null;
+        return { allowanceTarget: spender, amount: ctx.params.fromTokenAmount, shouldResetApprove: check.shouldResetApprove };
+    } catch (e) {
+        ctx.log.warn('allowance check failed', { err: e });
+        return null;
+    }
+}
 
-        const routes = await Promise.race([
-            routesPromise,
-            new Promise((_, reject) => setTimeout(() => reject(new Error("LiFi routes timeout")), TIMEOUT))
-        ]);
+// Simulates the quote's tx from the real wallet. Pointless without one, or while an
+// approval is still pending: the call would revert for a reason the user is about to fix.
+async function simulateQuote(ctx, q) {
+    if (!isEvmNetwork(ctx.params.fromNetworkId)) return null;
+    if (q.allowanceResult) return { status: 'skipped', reason: 'approval_required' };
+    const tx = q.tx?.transactionRequest || q.tx;
+    return simulation.simulateTx({ chainId: ctx.fromChain, tx, from: ctx.params.userAddress });
+}
 
-        if (!routes?.routes?.length) {
-            console.log('[LiFi] No routes returned');
-            return null;
-        }
+// Providers able to serve the request, minus those whose breaker is open on the source network
+function eligibleProviders(params) {
+    return providers.forRequest(params).filter(p => health.isAvailable(p.id, params.fromNetworkId));
+}
 
-        const route = routes.routes[0];
-        const step = route.steps[0];
-        const txResponse = await getStepTransaction(step);
+// Quote (or price) call with its latency and outcome fed into the provider's health stats,
+// the metrics and the log
+async function timedQuote(p, ctx, method = 'quote') {
+    const started = Date.now();
+    const network = ctx.params.fromNetworkId;
+    const observe = (outcome, error) => {
+        const latencyMs = Date.now() - started;
+        health.record(p.id, network, { latencyMs, error });
+        if (outcome === 'aborted') return;
+        providerCalls.inc({ provider: p.id, network, method, outcome });
+        providerLatency.observe({ provider: p.id, method }, latencyMs / 1000);
+        ctx.log[error ? 'warn' : 'info']('provider response', { provider: p.id, method, outcome, latencyMs, err: error });
+    };
+    try {
+        const q = await withTimeout(p[method](ctx), TIMEOUT, p.name);
+        observe(q ? 'ok' : 'no_route');
+        return q;
+    } catch (e) {
+        observe(classifyError(e), e);
+        throw e;
+    }
+}
 
-        // LiFi returns nested transactionRequest
-        const txRequest = txResponse?.transactionRequest || {};
+// A provider's quote we refuse after it arrived; upstream failures are logged by timedQuote
+function dropped(ctx, p, error) {
+    ctx.log.info('quote dropped', { provider: p.id, err: error });
+    return error;
+}
 
-        if (!txRequest.to || !ethers.isAddress(txRequest.to) || !txRequest.data) {
-            console.error('[LiFi] Invalid nested transactionRequest:', txRequest);
-            return null;
+// Upstream half of a quote request, shared between identical requests by quoteCache:
+// emits `{ ctx }` once tokens are resolved, then `{ provider, quote, error }` per provider.
+async function collectQuotes(params, signal, emit, log) {
+    const ctx = await buildQuoteContext(params, signal, log);
+    emit({ ctx });
+    await Promise.all(eligibleProviders(params).map(async (p) => {
+        try {
+            const q = await timedQuote(p, ctx);
+            if (q) {
+                q.priceImpact = priceImpact.priceImpactOf(q, ctx);
+                if (priceImpact.tooHigh(q.priceImpact)) throw dropped(ctx, p, priceImpact.priceImpactTooHigh(q.priceImpact));
+                q.allowanceResult = await getAllowanceResult(ctx, q);
+                q.simulation = await simulateQuote(ctx, q);
+                if (q.simulation?.status === 'reverted' && simulation.ON_REVERT === 'drop') {
+                    throw dropped(ctx, p, Object.assign(new Error(`Simulation reverted: ${q.simulation.reason}`), { code: 'SIMULATION_REVERTED' }));
+                }
+            }
+            emit({ provider: p, quote: q, error: null });
+        } catch (e) {
+            emit({ provider: p, quote: null, error: e });
         }
+    }));
+}
 
-        console.log('[LiFi] Valid txRequest - to:', txRequest.to);
-
-        const richCtx = { 
-            lifiQuoteResultCtx: { stepInfo: step, estimate: step.estimate, includedSteps: route.steps }, 
-            lifiToNetworkId: params.toNetworkId 
-        };
+// Once every provider is in, quotes far off the others' median are withdrawn: streaming
+// callers get an error for that provider after its quote already went out. `withdraw(entry)`
+// runs first, so a stored quote is unbuildable before the client hears it was dropped.
+async function withoutRateOutliers(entries, onSettled, log, withdraw = async () => {}) {
+    const { kept, outliers } = priceImpact.splitRateOutliers(entries);
+    await Promise.all(outliers.map(({ entry }) => withdraw(entry)));
+    outliers.forEach(({ entry, error }) => {
+        log.info('quote dropped', { provider: entry.provider.id, err: error });
+        onSettled(entry.provider, null, error);
+    });
+    return kept;
+}
 
-        const fiatFee = Number(step.estimate?.feeCosts?.[0]?.amountUSD || 0.1) + 
-                        Number(step.estimate?.gasCosts?.[0]?.amountUSD || 0.1);
+// Quotes every eligible provider, or reuses a cached/in-flight fan-out for the same request.
+// Each quote is formatted under this request's eventId and stored for build-tx.
+// `onContext(ctx)` fires once; `onSettled(provider, entry, error)` as each provider finishes,
+// so callers can stream results instead of waiting for all.
+const fanOutQuotes = measuredFanOut('quote', async (params, eventId, { signal, onContext = () => {}, onSettled = () => {} } = {}) => {
+    const fanOutLog = log.child({ eventId });
+    let ctx = null;
+    const entries = [];
+    const saves = [];
+    const onItem = (item) => {
+        if (item.ctx) {
+            ctx = { ...item.ctx, params };
+            return onContext(ctx);
+        }
+        const { provider: p, quote: q, error } = item;
+        if (!q) return onSettled(p, null, error);
+        const entry = { provider: p, quote: q, formatted: formatQuote(p, ctx, q, eventId, false) };
+        entry.record = buildRecord(entry.formatted, params.userAddress);
+        saves.push(quoteStore.save(entry.record).then(
+            () => { entries.push(entry); onSettled(p, entry, null); },
+            (e) => onSettled(p, null, e)
+        ));
+    };
+    await quoteCache.shared(quoteCache.keyFor(params), (sharedSignal, emit) => collectQuotes(params, sharedSignal, emit, fanOutLog), { signal, onItem });
+    await Promise.all(saves);
+    const withdraw = (entry) => quoteStore.save({ ...entry.record, withdrawn: true });
+    return { ctx, entries: await withoutRateOutliers(entries, onSettled, fanOutLog, withdraw) };
+});
 
-        return {
-            toAmount: ethers.formatUnits(route.toAmount, route.toToken.decimals),
-            tx: txResponse,  // Full response with nested transactionRequest
-            decimals: route.toToken.decimals,
-            symbol: route.toToken.symbol,
-            routesData: [],
-            ctx: richCtx,
-            fiatFee
-        };
-    } catch (e) {
-        console.error('[LiFi] Critical failure:', e.message);
-        return null;
-    }
+function eligiblePriceProviders(params) {
+    return providers.forPrice(params).filter(p => health.isAvailable(p.id, params.fromNetworkId));
 }
 
-// ==================================================================
-// QUOTE GENERATION & ENDPOINTS
-// ==================================================================
-const SUPPORTED_NETWORKS = [
-    { networkId: "evm--1", network: "ETH", name: "Ethereum", symbol: "ETH", decimals: 18, indexerSupported: true },
-    { networkId: "evm--56", network: "BNB", name: "BNB Chain", symbol: "BNB", decimals: 18, indexerSupported: true },
-    { networkId: "evm--137", network: "MATIC", name: "Polygon", symbol: "MATIC", decimals: 18, indexerSupported: true },
-    { networkId: "evm--42161", network: "ETH", name: "Arbitrum", symbol: "ETH", decimals: 18, indexerSupported: true },
-    { networkId: "evm--10", network: "ETH", name: "Optimism", symbol: "ETH", decimals: 18, indexerSupported: true },
-    { networkId: "evm--8453", network: "ETH", name: "Base", symbol: "ETH", decimals: 18, indexerSupported: true },
-    { networkId: "evm--43114", network: "AVAX", name: "Avalanche", symbol: "AVAX", decimals: 18, indexerSupported: true }
-];
-
-let PROVIDERS_CONFIG = [
-    { id: 'Swap1inch', name: '1inch', logo: 'https://common.onekey-asset.com/logo/1Inch.png' },
-    { id: 'SwapLifi', name: 'Li.fi (Bitrabo)', logo: 'https://uni.onekey-asset.com/static/logo/lifi.png' },
-    { id: 'Swap0x', name: '0x', logo: 'https://uni.onekey-asset.com/static/logo/0xlogo.png' },
-    { id: 'SwapOKX', name: 'OKX Dex', logo: 'https://uni.onekey-asset.com/static/logo/OKXDex.png' }
-];
-
-app.get(['/swap/v1/providers/list', '/providers/list'], (req, res) => {
-    const list = PROVIDERS_CONFIG.map(p => ({
-        providerInfo: { provider: p.id, name: p.name, logo: p.logo, protocol: "Swap" },
-        isSupportSingleSwap: true, isSupportCrossChain: true,
-        supportSingleSwapNetworks: SUPPORTED_NETWORKS,
-        supportCrossChainNetworks: SUPPORTED_NETWORKS,
-        providerServiceDisable: false, serviceDisableNetworks: []
+async function collectPrices(params, signal, emit, log) {
+    const ctx = await buildQuoteContext(params, signal, log);
+    emit({ ctx });
+    await Promise.all(eligiblePriceProviders(params).map(async (p) => {
+        try {
+            const q = await timedQuote(p, ctx, 'price');
+            if (q) {
+                q.priceImpact = priceImpact.priceImpactOf(q, ctx);
+                if (priceImpact.tooHigh(q.priceImpact)) throw dropped(ctx, p, priceImpact.priceImpactTooHigh(q.priceImpact));
+            }
+            emit({ provider: p, quote: q, error: null });
+        } catch (e) {
+            emit({ provider: p, quote: null, error: e });
+        }
     }));
-    res.json(ok(list));
+}
+
+// Indicative prices from every provider's calldata-free endpoint. Nothing is stored and
+// nothing depends on the wallet, so identical requests from anyone share one fan-out.
+const fanOutPrices = measuredFanOut('price', async (params, eventId, { signal, onContext = () => {}, onSettled = () => {} } = {}) => {
+    const fanOutLog = log.child({ eventId });
+    let ctx = null;
+    const entries = [];
+    const onItem = (item) => {
+        if (item.ctx) {
+            ctx = { ...item.ctx, params };
+            return onContext(ctx);
+        }
+        const { provider: p, quote: q, error } = item;
+        if (!q) return onSettled(p, null, error);
+        const entry = { provider: p, quote: q, formatted: formatPrice(p, ctx, q, eventId) };
+        entries.push(entry);
+        onSettled(p, entry, null);
+    };
+    const key = `price|${quoteCache.keyFor(params, { shared: true })}`;
+    await quoteCache.shared(key, (sharedSignal, emit) => collectPrices(params, sharedSignal, emit, fanOutLog), { signal, onItem });
+    return { ctx, entries: await withoutRateOutliers(entries, onSettled, fanOutLog) };
 });
 
-app.get(['/swap/v1/check-support', '/check-support'], (req, res) =>
-    res.json(ok([{ status: 'available', networkId: req.query.networkId }]))
-);
+function formatPrice(providerConf, ctx, data, eventId) {
+    const { params } = ctx;
+    const fee = data.noIntegratorFee ? NO_FEE : ctx.fee;
+    return {
+        info: { provider: providerConf.id, providerName: providerConf.name, providerLogo: providerConf.logo },
+        fromTokenInfo: tokens.toTokenInfoPayload(ctx.fromToken, params.fromNetworkId, params.fromTokenAddress),
+        toTokenInfo: tokens.toTokenInfoPayload(ctx.toToken, params.toNetworkId, params.toTokenAddress),
+        fromAmount: params.fromTokenAmount,
+        toAmount: data.toAmount,
+        instantRate: new BigNumber(data.toAmount).div(params.fromTokenAmount).toFixed(8),
+        priceImpact: data.priceImpact ?? null,
+        priceImpactLevel: priceImpact.impactLevel(data.priceImpact),
+        estimatedTime: data.estimatedTime || 30,
+        fee: { percentageFee: fee.percent, estimatedFeeFiatValue: data.fiatFee ?? null, protocolFees: data.protocolFeeUSD || 0 },
+        routesData: data.routesData || [],
+        eventId,
+        isBest: false
+    };
+}
 
-app.get(['/swap/v1/allowance', '/allowance'], (req, res) => res.json(ok("0")));
+// Best first, exactly one isBest
+function rankEntries(entries, ctx) {
+    return rankQuotes(entries, ctx.params.rankStrategy, { toPriceUSD: ctx.toPriceUSD })
+        .map((r, i) => ({ ...r.formatted, isBest: i === 0 }));
+}
 
 async function generateAllQuotes(params, eventId) {
-    const fromChain = parseInt(params.fromNetworkId.replace('evm--', ''));
-    const toChain = parseInt(params.toNetworkId.replace('evm--', ''));
-    let amount = params.fromTokenAmount;
-    let toDecimals = 18;
-    let nativePriceUSD = 0;
-
-    try {
-        const t = await getToken(fromChain, params.fromTokenAddress || '0x0000000000000000000000000000000000000000');
-        amount = ethers.parseUnits(Number(amount).toFixed(t.decimals), t.decimals).toString();
-        const toT = await getToken(toChain, params.toTokenAddress || '0x0000000000000000000000000000000000000000');
-        toDecimals = toT.decimals || 18;
-        const native = await getToken(fromChain, '0x0000000000000000000000000000000000000000');
-        nativePriceUSD = parseFloat(native.priceUSD || 0);
-    } catch {
-        amount = ethers.parseUnits(Number(amount).toFixed(18), 18).toString();
-    }
-
-    console.log(`[Fetching quotes] Native price: $${nativePriceUSD}`);
-
-    const promises = PROVIDERS_CONFIG.map(async (p, i) => {
-        let q = null;
-        if (fromChain !== toChain) {
-            if (p.id.includes('Lifi')) q = await getLifiQuote(params, amount, fromChain, toChain);
-        } else {
-            if (p.id.includes('Lifi')) q = await getLifiQuote(params, amount, fromChain, toChain);
-            else if (p.id.includes('1inch')) q = await getOneInchQuote(params, amount, fromChain, toDecimals, nativePriceUSD);
-            else if (p.id.includes('0x')) q = await getZeroXQuote(params, amount, fromChain, toDecimals, nativePriceUSD);
-            else if (p.id.includes('OKX')) q = await getOkxQuote(params, amount, fromChain, toDecimals, nativePriceUSD);
-        }
-        if (!q) return null;
-        console.log(` ✓ ${p.name} OK (fee ~$${q.fiatFee})`);
-        return formatQuote(p, params, q, eventId, i === 0);
-    });
+    const { ctx, entries } = await fanOutQuotes(params, eventId);
+    return rankEntries(entries, ctx);
+}
 
-    const results = await Promise.all(promises);
-    return results.filter(Boolean);
+// Our fee in the token the provider takes it in (adapter `feeToken`), with that token
+// named so build-tx and the ledger report the right asset
+function integratorFeeOf(providerConf, ctx, data, fee, fromTokenInfo, toTokenInfo) {
+    const fromSide = providerConf.feeToken === 'from';
+    const { amount, usd } = fromSide
+        ? feeFromInput(ctx.params.fromTokenAmount, fee, ctx.fromToken.priceUSD)
+        : feeFromNetOutput(data.toAmount, fee, ctx.toPriceUSD);
+    const token = fromSide ? fromTokenInfo : toTokenInfo;
+    return { bps: fee.bps, amount, usd, symbol: token.symbol, networkId: token.networkId, tokenAddress: token.contractAddress };
 }
 
-function formatQuote(providerConf, params, data, eventId, isBest) {
+function formatQuote(providerConf, ctx, data, eventId, isBest) {
+    const { params } = ctx;
     const rate = new BigNumber(data.toAmount).div(params.fromTokenAmount).toFixed(8);
+    const quoteId = uuidv4();
+    const fee = data.noIntegratorFee ? NO_FEE : ctx.fee;
+    // Providers that report their own floor know their fee and rounding best
+    const minToAmount = data.minToAmount
+        || new BigNumber(data.toAmount).multipliedBy(1 - ctx.slippage / 100).toFixed(ctx.toToken.decimals, BigNumber.ROUND_DOWN);
+    const fromTokenInfo = tokens.toTokenInfoPayload(ctx.fromToken, params.fromNetworkId, params.fromTokenAddress);
+    const toTokenInfo = tokens.toTokenInfoPayload(ctx.toToken, params.toNetworkId, params.toTokenAddress);
 
     return {
         info: { provider: providerConf.id, providerName: providerConf.name, providerLogo: providerConf.logo },
-        fromTokenInfo: { contractAddress: params.fromTokenAddress || "", networkId: params.fromNetworkId, decimals: 18, symbol: "TOKEN" },
-        toTokenInfo: { contractAddress: params.toTokenAddress, networkId: params.toNetworkId, decimals: data.decimals || 18, symbol: "UNK" },
+        fromTokenInfo,
+        toTokenInfo,
         protocol: 'Swap', kind: 'sell',
         fromAmount: params.fromTokenAmount,
         toAmount: data.toAmount,
+        minToAmount,
+        slippage: ctx.slippage,
         instantRate: rate,
-        estimatedTime: 30,
-        fee: { percentageFee: FEE_PERCENT * 100, estimatedFeeFiatValue: data.fiatFee || 0.15, protocolFees: 0 },
+        priceImpact: data.priceImpact ?? null,
+        priceImpactLevel: priceImpact.impactLevel(data.priceImpact),
+        estimatedTime: data.estimatedTime || 30,
+        fee: { percentageFee: fee.percent, estimatedFeeFiatValue: data.fiatFee ?? null, protocolFees: data.protocolFeeUSD || 0 },
         routesData: data.routesData || [],
         quoteResultCtx: {
             tx: data.tx,
             providerId: providerConf.id,
+            quoteId,
+            eventId,
             isMock: false,
+            fromTokenInfo,
+            toTokenInfo,
             fromAmount: params.fromTokenAmount,
             toAmount: data.toAmount,
+            minToAmount,
+            slippage: ctx.slippage,
             instantRate: rate,
+            integratorFee: integratorFeeOf(providerConf, ctx, data, fee, fromTokenInfo, toTokenInfo),
+            spender: spenderOf(data) || null,
             ...data.ctx
         },
-        allowanceResult: null,
+        allowanceResult: data.allowanceResult || null,
+        simulation: data.simulation || null,
         unSupportReceiveAddressDifferent: false,
-        gasLimit: Number(data.tx?.gasLimit || 210000),
-        quoteId: uuidv4(),
+        gasLimit: Number(data.simulation?.gasLimit || data.tx?.gasLimit || data.tx?.transactionRequest?.gasLimit || 210000),
+        quoteId,
         eventId,
         isBest
     };
 }
 
-app.get('/swap/v1/quote/events', async (req, res) => {
-    console.log(`⚡ QUOTE EVENTS REQUEST`);
+// SSE flow shared by quotes and prices: provider count, suggested slippage, each result as it
+// lands, then the ranked list and `done`. `fanOut(eventId, options)` does the actual work.
+// Every failure ends the stream with `{ type: 'error', code, message }`.
+async function streamFanOut(req, res, countProviders, fanOut) {
     res.setHeader('Content-Type', 'text/event-stream');
-    const eventId = uuidv4();
+    res.flushHeaders();
+    const eventId = req.id;
+    const params = req.query;
+
+    // Stop writing and cancel in-flight upstream calls once the wallet goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    const send = (payload) => {
+        if (!controller.signal.aborted) res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
 
     try {
-        const quotes = await generateAllQuotes(req.query, eventId);
-        res.write(`data: ${JSON.stringify({ totalQuoteCount: quotes.length, eventId })}\n\n`);
-        res.write(`data: ${JSON.stringify({ autoSuggestedSlippage: 0.5, eventId, ...req.query })}\n\n`);
-        for (const q of quotes) {
-            res.write(`data: ${JSON.stringify({ data: [q] })}\n\n`);
-        }
-        res.write(`data: {"type":"done"}\n\n`);
+        validate.check(params, validate.SCHEMAS.quote);
+        send({ totalQuoteCount: countProviders(params), eventId });
+
+        const { ctx, entries } = await fanOut(eventId, {
+            signal: controller.signal,
+            onContext: (ctx) => send({ autoSuggestedSlippage: ctx.autoSlippage, eventId, ...params }),
+            onSettled: (p, entry, err) => {
+                if (entry) return send({ data: [entry.formatted] });
+                send({
+                    type: 'error', eventId, provider: p.id,
+                    reason: err ? classifyError(err) : 'no_route',
+                    message: err ? err.message : 'No route found'
+                });
+            }
+        });
+        if (controller.signal.aborted) return;
+
+        // Results above went out in arrival order; resend them ranked so exactly one is flagged best
+        if (entries.length) send({ data: rankEntries(entries, ctx) });
+        send({ type: 'done' });
     } catch (e) {
-        console.error(e);
-        res.write(`data: {"type":"error"}\n\n`);
+        req.log[e instanceof SwapError ? 'warn' : 'error']('stream failed', { err: e });
+        const err = e instanceof SwapError ? e : new SwapError(ERROR_CODES.QUOTE_UNAVAILABLE, 'Quotes are unavailable right now, please retry');
+        send({ type: 'error', eventId, code: err.code, message: err.message });
     }
     res.end();
+}
+
+app.get('/swap/v1/quote/events', limited('quote'), (req, res) => {
+    return streamFanOut(req, res, (params) => eligibleProviders(params).length,
+        (eventId, options) => fanOutQuotes(req.query, eventId, options));
 });
 
-app.post('/swap/v1/build-tx', jsonParser, (req, res) => {
-    console.log("📝 BUILD-TX CALLED");
-    const { quoteResultCtx, userAddress } = req.body;
+// Indicative prices for wallets that are not connected yet: amounts, rate, price impact
+// and fees, no calldata. Same query as quote/events, userAddress not needed.
+app.get('/swap/v1/price/events', limited('quote'), (req, res) => {
+    return streamFanOut(req, res, (params) => eligiblePriceProviders(params).length,
+        (eventId, options) => fanOutPrices(req.query, eventId, options));
+});
 
-    if (!quoteResultCtx?.tx) {
-        console.log("❌ Missing tx in quoteResultCtx");
-        return res.json(ok(null));
+app.get('/swap/v1/price', limited('quote'), validated(validate.SCHEMAS.quote), async (req, res) => {
+    const params = req.query;
+    try {
+        const eventId = req.id;
+        const { ctx, entries } = await fanOutPrices(params, eventId);
+        res.json(ok({ eventId, autoSuggestedSlippage: ctx.autoSlippage, prices: rankEntries(entries, ctx) }));
+    } catch (e) {
+        req.log.warn('price failed', { err: e });
+        if (e instanceof SwapError) return res.json(fail(e.code, e.message));
+        res.json(fail(ERROR_CODES.PRICE_UNAVAILABLE, 'Price is unavailable for this pair'));
     }
+});
 
-    // Handle LiFi nested structure for validation
-    let txObj = quoteResultCtx.tx;
-    const isLifi = quoteResultCtx.providerId?.includes('Lifi') || false;
-    if (isLifi && quoteResultCtx.tx?.transactionRequest) {
-        txObj = quoteResultCtx.tx.transactionRequest;
+// Only the wallet a quote was issued for may build it. A quote requested without a wallet
+// carries calldata for DEFAULT_TAKER, so it has to be re-quoted with the user's address.
+// EVM addresses compare case-insensitively, Solana and UTXO addresses exactly.
+function assertQuoteOwner(record, userAddress) {
+    if (!record.userAddress) {
+        throw new SwapError(ERROR_CODES.QUOTE_MISMATCH, 'Quote was requested without a wallet, please refresh the quote');
     }
+    const evm = isEvmNetwork(record.quoteResultCtx.fromTokenInfo.networkId);
+    const same = userAddress && (evm ? record.userAddress.toLowerCase() === userAddress.toLowerCase() : record.userAddress === userAddress);
+    if (!same) throw new SwapError(ERROR_CODES.QUOTE_MISMATCH, 'Quote was issued for a different wallet');
+}
+
+// Resolves the quote this server issued; the client only tells us which one
+async function resolveStoredQuote(quoteId, userAddress) {
+    const record = quoteId ? await quoteStore.get(quoteId) : null;
+    if (!record) throw new SwapError(ERROR_CODES.QUOTE_NOT_FOUND, 'Quote not found, please refresh the quote');
+    if (record.withdrawn) throw new SwapError(ERROR_CODES.QUOTE_NOT_FOUND, 'Quote was withdrawn, please refresh the quote');
+    if (record.expiresAt <= Date.now()) throw new SwapError(ERROR_CODES.QUOTE_EXPIRED, 'Quote expired, please refresh the quote');
+    // A malformed wallet is bad input, not a request for someone else's quote
+    validate.check({ userAddress, fromNetworkId: record.quoteResultCtx.fromTokenInfo.networkId }, validate.SCHEMAS.quoteOwner);
+    assertQuoteOwner(record, userAddress);
+    return record;
+}
 
-    // Validate the effective tx object
-    if (!txObj || !txObj.to || !ethers.isAddress(txObj.to)) {
-        console.error("Invalid tx in build-tx:", txObj);
-        return res.json(ok(null));
+// Whether the wallet still has to approve the quote's spender. The swap would revert until
+// the approval is mined, so simulating it then says nothing (as in simulateQuote).
+async function approvalPending(quoteResultCtx, tx, owner, log) {
+    const { fromTokenInfo } = quoteResultCtx;
+    const chainId = chainIdOf(fromTokenInfo.networkId);
+    if (!fromTokenInfo.contractAddress || !simulation.ENABLED || !getRpcProvider(chainId)) return false;
+    try {
+        const check = await checkAllowance({
+            chainId, token: fromTokenInfo.contractAddress, owner, spender: quoteResultCtx.spender || tx.to,
+            amount: ethers.parseUnits(quoteResultCtx.fromAmount, fromTokenInfo.decimals)
+        });
+        return !check.sufficient;
+    } catch (e) {
+        log.warn('allowance check failed', { err: e });
+        return false;
     }
+}
+
+app.post('/swap/v1/build-tx', limited('buildTx'), jsonParser, async (req, res) => {
+    const { userAddress } = req.body;
+    const quoteId = req.body.quoteId || req.body.quoteResultCtx?.quoteId;
 
     try {
-        const val = isLifi ? toHex(txObj.value) : new BigNumber(txObj.value || "0").toFixed();
+        validate.check({ ...req.body, quoteId }, validate.SCHEMAS.buildTx);
+        const record = await resolveStoredQuote(quoteId, userAddress);
+        const { quoteResultCtx } = record;
+        const { fromTokenInfo, toTokenInfo } = quoteResultCtx;
+        validate.check({ ...req.body, toNetworkId: toTokenInfo.networkId }, validate.SCHEMAS.buildTxAddresses);
+
+        const adapter = providers.get(quoteResultCtx.providerId);
+        if (!adapter) throw new SwapError(ERROR_CODES.BUILD_FAILED, `Provider ${quoteResultCtx.providerId} is unavailable`);
+
+        const built = await adapter.buildTx(quoteResultCtx, userAddress, { receivingAddress: req.body.receivingAddress });
+        const { orderId, ...txObj } = built || {};
+
+        // Validate the effective tx object: EVM call, serialized Solana transaction or deposit transfer
+        const valid = isEvmNetwork(fromTokenInfo.networkId)
+            ? txObj.to && ethers.isAddress(txObj.to)
+            : txObj.serializedTransaction || txObj.depositAddress;
+        if (!valid) {
+            req.log.error('provider returned an invalid transaction', { provider: adapter.id, tx: built });
+            throw new SwapError(ERROR_CODES.BUILD_FAILED, 'Provider returned an invalid transaction');
+        }
+
+        // Replaces the provider's (often skipped) estimate; a revert here means the wallet would burn gas for nothing
+        const sim = !isEvmNetwork(fromTokenInfo.networkId) ? null
+            : await approvalPending(quoteResultCtx, txObj, userAddress, req.log) ? { status: 'skipped', reason: 'approval_required' }
+                : await simulation.simulateTx({ chainId: chainIdOf(fromTokenInfo.networkId), tx: txObj, from: userAddress });
+        if (sim?.status === 'reverted') {
+            throw new SwapError(ERROR_CODES.SIMULATION_REVERTED, `Transaction would revert: ${sim.reason}`);
+        }
+        if (sim?.status === 'ok') txObj.gasLimit = sim.gasLimit;
+        // Live fee caps at the requested tier (gasTier: slow|normal|fast) replace the provider's gas price
+        const feeFields = isEvmNetwork(fromTokenInfo.networkId)
+            ? await feeFieldsFor(chainIdOf(fromTokenInfo.networkId), req.body.gasTier)
+            : null;
+        if (feeFields) {
+            delete txObj.gasPrice;
+            Object.assign(txObj, feeFields);
+        }
+
+        const { integratorFee } = quoteResultCtx;
+
+        // One revenue line per quote: wallet retries and rebuilds of the same quoteId, even
+        // concurrent ones, don't add more
+        if (await quoteStore.claim(`ledger:${quoteId}`)) await ledger.record(ledger.entryFromQuote(quoteResultCtx, userAddress));
 
-        const feeAmount = new BigNumber(quoteResultCtx.toAmount || "0")
-            .multipliedBy(FEE_PERCENT)
-            .toFixed(6);
+        // Multi-step routes: this is step 0, the client asks for the rest via next-step
+        const totalSteps = adapter.stepCount ? adapter.stepCount(quoteResultCtx) : 1;
+        const continuation = totalSteps > 1 ? { quoteId, nextStepIndex: 1, totalSteps } : null;
+        if (continuation) await quoteStore.save({ ...record, continuation }, CONTINUATION_TTL_MS);
 
+        builtTxs.inc({ provider: adapter.id, network: fromTokenInfo.networkId, step: 0 });
+        // eventId is the quote stream's request id, which ties this build back to its quotes
+        req.log.info('transaction built', { quoteId, eventId: record.eventId, provider: adapter.id, networkId: fromTokenInfo.networkId });
         return res.json(ok({
             result: {
                 info: { provider: quoteResultCtx.providerId },
                 protocol: 'Swap',
-                fromTokenInfo: quoteResultCtx.fromTokenInfo || { contractAddress: "", networkId: "", decimals: 18, symbol: "TOKEN" },
-                toTokenInfo: quoteResultCtx.toTokenInfo || { contractAddress: "", networkId: "", decimals: 18, symbol: "UNK" },
+                fromTokenInfo,
+                toTokenInfo,
                 fromAmount: quoteResultCtx.fromAmount || "0",
                 toAmount: quoteResultCtx.toAmount || "0",
                 instantRate: quoteResultCtx.instantRate || "0",
                 estimatedTime: 30,
-                fee: { percentageFee: FEE_PERCENT * 100 },
+                fee: { percentageFee: integratorFee.bps / 100 },
                 gasLimit: Number(txObj.gasLimit || 210000),
                 routesData: quoteResultCtx.routesData || [],
                 oneKeyFeeExtraInfo: {
-                    oneKeyFeeAmount: feeAmount,
-                    oneKeyFeeSymbol: "TOKEN",
-                    oneKeyFeeUsd: "0.10"
+                    oneKeyFeeAmount: integratorFee.amount,
+                    oneKeyFeeSymbol: integratorFee.symbol,
+                    oneKeyFeeUsd: integratorFee.usd
                 },
-                slippage: 0.5,
-                supportUrl: "https://help.onekey.so/hc/requests/new"
+                slippage: quoteResultCtx.slippage,
+                minToAmount: quoteResultCtx.minToAmount,
+                supportUrl: "https://help.onekey.so/hc/requests/new",
+                simulation: sim,
+                ...(orderId ? { orderId } : {}),
+                ...(continuation ? { continuation } : {})
             },
-            ctx: quoteResultCtx,
-            tx: { ...txObj, from: userAddress, value: val }  // Use the validated txObj
+            ctx: orderId ? { ...quoteResultCtx, orderId } : quoteResultCtx,
+            tx: { ...txObj, from: userAddress }
         }));
     } catch (e) {
-        console.error("build-tx error:", e.message);
-        return res.json(ok(null));
+        const err = e instanceof SwapError ? e : new SwapError(ERROR_CODES.BUILD_FAILED, 'Failed to build transaction');
+        buildTxErrors.inc({ code: err.code });
+        req.log.warn('build-tx failed', { quoteId, err: e });
+        return res.json(fail(err.code, err.message));
     }
 });
 
-// Fallback proxy
-app.use('/swap/v1', (req, res, next) => {
-    console.log(`Proxy → OneKey: ${req.method} ${req.path}`);
+// Next transaction of a multi-step route. Body: quoteId, stepIndex (1-based after
+// build-tx's step 0), previousTxHash of the step before it, userAddress.
+app.post('/swap/v1/build-tx/next-step', limited('buildTx'), jsonParser, async (req, res) => {
+    const { quoteId, previousTxHash, userAddress } = req.body;
+    const stepIndex = Number(req.body.stepIndex);
+
+    try {
+        validate.check(req.body, validate.SCHEMAS.nextStep);
+        const record = await quoteStore.get(quoteId);
+        const continuation = record?.continuation;
+        if (!continuation) throw new SwapError(ERROR_CODES.QUOTE_NOT_FOUND, 'No multi-step swap in progress for this quote');
+        // Steps already reached may be rebuilt, e.g. when the wallet never sent the first attempt
+        if (stepIndex > Math.min(continuation.nextStepIndex, continuation.totalSteps - 1)) {
+            throw new SwapError(ERROR_CODES.INVALID_PARAMS, `stepIndex must be between 1 and ${continuation.nextStepIndex}`);
+        }
+        assertQuoteOwner(record, userAddress);
+
+        const adapter = providers.get(record.providerId);
+        const step = adapter?.buildNextStep && await adapter.buildNextStep(record.quoteResultCtx, { stepIndex, previousTxHash });
+        if (!step || !ethers.isAddress(step.tx.to)) throw new SwapError(ERROR_CODES.BUILD_FAILED, 'Could not build the next step');
+
+        // Intermediate tokens land in the wallet, so the next router may need an approval
+        let approveTxs = [];
+        if (tokens.normalizeAddress(step.fromTokenAddress) !== tokens.NATIVE && getRpcProvider(step.fromChainId)) {
+            const check = await checkAllowance({
+                chainId: step.fromChainId, token: step.fromTokenAddress, owner: userAddress, spender: step.spender,
+                amount: ethers.parseUnits(step.fromAmount, (await tokens.getTokenInfo(step.fromChainId, step.fromTokenAddress)).decimals)
+            });
+            approveTxs = check.approveTxs.map(tx => ({ ...tx, from: userAddress }));
+        }
+        if (!approveTxs.length) {
+            const sim = await simulation.simulateTx({ chainId: step.fromChainId, tx: step.tx, from: userAddress });
+            if (sim.status === 'reverted') throw new SwapError(ERROR_CODES.SIMULATION_REVERTED, `Transaction would revert: ${sim.reason}`);
+            if (sim.status === 'ok') step.tx = { ...step.tx, gasLimit: sim.gasLimit };
+        }
+        const feeFields = await feeFieldsFor(step.fromChainId, req.body.gasTier);
+        if (feeFields) {
+            const { gasPrice, ...stepTx } = step.tx;
+            step.tx = { ...stepTx, ...feeFields };
+        }
+
+        const isLast = stepIndex === continuation.totalSteps - 1;
+        const next = { ...continuation, nextStepIndex: Math.max(continuation.nextStepIndex, stepIndex + 1) };
+        await quoteStore.save({ ...record, continuation: next }, CONTINUATION_TTL_MS);
+
+        builtTxs.inc({ provider: record.providerId, network: `evm--${step.fromChainId}`, step: stepIndex });
+        req.log.info('transaction built', { quoteId, eventId: record.eventId, provider: record.providerId, stepIndex });
+        res.json(ok({
+            stepIndex,
+            totalSteps: continuation.totalSteps,
+            fromAmount: step.fromAmount,
+            toAmount: step.toAmount,
+            approveTxs,
+            tx: { ...step.tx, from: userAddress },
+            continuation: isLast ? null : { quoteId, nextStepIndex: stepIndex + 1, totalSteps: continuation.totalSteps }
+        }));
+    } catch (e) {
+        let err = e instanceof SwapError ? e : new SwapError(ERROR_CODES.BUILD_FAILED, 'Failed to build the next step');
+        if (e.code === 'STEP_NOT_READY') err = new SwapError(ERROR_CODES.STEP_NOT_READY, e.message);
+        buildTxErrors.inc({ code: err.code });
+        req.log.warn('next-step failed', { quoteId, stepIndex, err: e });
+        return res.json(fail(err.code, err.message));
+    }
+});
+
+// Status of a signed swap: { state, destinationTxHash, receivedAmount, ... }.
+// Body: txId (source tx hash), quoteId or ctx (the quoteResultCtx), orderId for deposit swaps.
+app.post('/swap/v1/state-tx', limited('lookup'), jsonParser, validated(validate.SCHEMAS.stateTx, 'body'), async (req, res) => {
+    const txHash = req.body.txId || req.body.txHash;
+    const quoteId = req.body.quoteId || req.body.ctx?.quoteId;
+    const orderId = req.body.orderId || req.body.ctx?.orderId;
+    try {
+        const stored = quoteId ? await quoteStore.get(quoteId) : null;
+        // Read-only lookup, so a client ctx is answered once our copy has aged out, but only
+        // our own records are tracked in the background
+        const quoteResultCtx = stored?.quoteResultCtx || req.body.ctx;
+        if (!quoteResultCtx?.fromTokenInfo || !quoteResultCtx?.toTokenInfo || (!txHash && !orderId)) {
+            return res.json(fail(ERROR_CODES.INVALID_PARAMS, 'txId and the quote (quoteId or ctx) are required'));
+        }
+        const adapter = providers.get(quoteResultCtx.providerId);
+        const status = await getSwapStatus({ adapter, txHash, orderId, quoteResultCtx }, { track: Boolean(stored) });
+        // OneKey's field names alongside ours
+        res.json(ok({
+            ...status,
+            state: status.status,
+            crossChainReceiveTxHash: status.destinationTxHash,
+            dealReceiveAmount: status.receivedAmount
+        }));
+    } catch (e) {
+        req.log.warn('state-tx failed', { quoteId, txHash, err: e });
+        res.json(fail(ERROR_CODES.STATUS_UNAVAILABLE, 'Swap status unavailable, please retry'));
+    }
+});
+
+// Deposit-style swaps (ChangeHero) are tracked by the provider's exchange id
+app.get('/swap/v1/order-status', limited('lookup'), validated(validate.SCHEMAS.orderStatus), async (req, res) => {
+    const { provider, orderId } = req.query;
+    const adapter = providers.get(provider);
+    if (!adapter?.getStatus || !orderId) {
+        return res.json(fail(ERROR_CODES.INVALID_PARAMS, 'provider with order tracking and orderId are required'));
+    }
+    try {
+        const status = await adapter.getStatus({ orderId });
+        if (!status) return res.json(fail(ERROR_CODES.QUOTE_NOT_FOUND, 'Order not found'));
+        res.json(ok(status));
+    } catch (e) {
+        req.log.warn('order-status failed', { provider, orderId, err: e });
+        res.json(fail(ERROR_CODES.STATUS_UNAVAILABLE, 'Order status unavailable'));
+    }
+});
+
+// ==================================================================
+// ADMIN
+// ==================================================================
+// Disabled unless ADMIN_API_KEY is set; callers send it as x-admin-key
+function requireAdmin(req, res, next) {
+    const key = process.env.ADMIN_API_KEY;
+    if (!key || req.get('x-admin-key') !== key) {
+        return res.status(401).json(fail(ERROR_CODES.UNAUTHORIZED, 'Unauthorized'));
+    }
     next();
+}
+
+// ?groupBy=day|provider|chain|token&from=2026-01-01&to=2026-02-01
+app.get('/admin/revenue', requireAdmin, validated(validate.SCHEMAS.revenue), async (req, res) => {
+    const { groupBy = 'day', from, to } = req.query;
+    if (!ledger.GROUP_KEYS[groupBy]) {
+        return res.status(400).json(fail(ERROR_CODES.INVALID_PARAMS, `groupBy must be one of ${Object.keys(ledger.GROUP_KEYS).join(', ')}`));
+    }
+    try {
+        const entries = await ledger.readEntries({ from, to });
+        res.json(ok({ groupBy, from: from || null, to: to || null, groups: ledger.aggregate(entries, groupBy) }));
+    } catch (e) {
+        req.log.error('ledger read failed', { err: e });
+        res.status(500).json(fail(ERROR_CODES.INTERNAL_ERROR, 'Revenue ledger unavailable'));
+    }
 });
 
-app.use('/swap/v1', createProxyMiddleware({
-    target: 'https://swap.onekeycn.com',
-    changeOrigin: true,
-    logLevel: 'silent'
-}));
-
-app.listen(PORT, () => {
-    if (!LIFI_API_KEY) {
-        console.warn('⚠️ CRITICAL: LIFI_API_KEY missing in .env - LiFi may fail');
-    } else {
-        console.log('✅ LiFi API key loaded');
+app.get('/admin/revenue.csv', requireAdmin, validated(validate.SCHEMAS.revenue), async (req, res) => {
+    try {
+        const entries = await ledger.readEntries({ from: req.query.from, to: req.query.to });
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="bitrabo-fees.csv"');
+        res.send(ledger.toCsv(entries));
+    } catch (e) {
+        req.log.error('ledger read failed', { err: e });
+        res.status(500).json(fail(ERROR_CODES.INTERNAL_ERROR, 'Revenue ledger unavailable'));
     }
-    console.log(`Bitrabo Swap Backend (LiFi Nested Fix) running on port ${PORT}`);
 });
+
+// Per provider and network: success rate, latency percentiles, last error and breaker state
+app.get('/admin/health', requireAdmin, (req, res) => {
+    res.json(ok({ failureThreshold: health.FAILURE_THRESHOLD, cooldownMs: health.COOLDOWN_MS, providers: health.report() }));
+});
+
+// Quote cache hits (served from cache), coalesced (joined an in-flight fan-out) and misses
+app.get('/admin/quote-cache', requireAdmin, (req, res) => {
+    res.json(ok(quoteCache.stats()));
+});
+
+// OneKey endpoints still reached through the fallback proxy, with counts per outcome
+app.get('/admin/proxy', requireAdmin, (req, res) => {
+    res.json(ok(oneKeyProxy.report()));
+});
+
+// Prometheus scrape target. Labels carry providers, networks and error codes, never wallets.
+app.get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
+// Fallback proxy: allowed /swap/v1 paths we don't serve go to OneKey (lib/oneKeyProxy.js)
+app.use('/swap/v1', express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+    try {
+        const reply = await oneKeyProxy.forward(req);
+        res.status(reply.status).set(reply.headers).send(reply.body);
+    } catch (e) {
+        res.status(e.status || 502).json(fail(e.code, e.message));
+    }
+});
+
+// Malformed JSON bodies, and anything else thrown before a route could answer
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json(fail(ERROR_CODES.INVALID_PARAMS, 'Request body is not valid JSON'));
+    }
+    (req.log || log).error('unhandled error', { err });
+    res.status(500).json(fail(ERROR_CODES.INTERNAL_ERROR, 'Internal error, please retry'));
+});
+
+// `node server.js` serves; tests require the app and listen on their own port
+if (require.main === module) {
+    app.listen(PORT, () => {
+        if (!LIFI_API_KEY) log.warn('LIFI_API_KEY missing in .env - LiFi may fail');
+        log.info('Bitrabo Swap Backend running', { port: Number(PORT) });
+    });
+}
+
+module.exports = { app, generateAllQuotes, formatQuote };
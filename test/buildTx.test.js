@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upstream, USER, ETH_TO_USDC, getEvents, postJson, stop } = require('./helpers/app');
+const ledger = require('../lib/ledger');
+
+test.afterEach(() => upstream.reset());
+test.after(stop);
+
+// Quotes over the same SSE stream the wallet uses, keyed by provider
+async function quoteIds(params = ETH_TO_USDC) {
+    const { events } = await getEvents('/swap/v1/quote/events', params);
+    const ranked = events.at(-2).data;
+    return Object.fromEntries(ranked.map(q => [q.info.provider, q.quoteId]));
+}
+
+test('build-tx returns the stored quote\'s transaction for the wallet', async () => {
+    const ids = await quoteIds();
+
+    const resp = await postJson('/swap/v1/build-tx', { quoteId: ids.Swap0x, userAddress: USER });
+
+    assert.equal(resp.code, 0);
+    const { result, tx, ctx } = resp.data;
+    assert.equal(result.info.provider, 'Swap0x');
+    assert.equal(result.toAmount, '2990.0');
+    assert.equal(result.minToAmount, '2975.05');
+    assert.equal(result.fee.percentageFee, 0.25);
+    assert.equal(result.continuation, undefined);
+    assert.equal(ctx.quoteId, ids.Swap0x);
+    assert.equal(tx.from, USER);
+    assert.equal(tx.to, '0x0000000000001ff3684f28c67538d4d072c22734');
+    assert.equal(tx.value, '1000000000000000000');
+    assert.equal(result.gasLimit, 180000);
+});
+
+test('build-tx unwraps LiFi\'s transactionRequest', async () => {
+    const ids = await quoteIds();
+
+    const resp = await postJson('/swap/v1/build-tx', { quoteId: ids.SwapLifi, userAddress: USER, gasTier: 'fast' });
+
+    assert.equal(resp.code, 0);
+    assert.equal(resp.data.tx.to, '0x1231deb6f5749ef6ce6943a275a1d3e7486f4eae');
+    assert.equal(resp.data.tx.value, '0x0de0b6b3a7640000');
+    assert.equal(resp.data.tx.from, USER);
+    // No live RPC fees here, so the provider's gas price stands rather than a static guess
+    assert.equal(resp.data.tx.gasPrice, '0x04a817c800');
+    assert.equal(resp.data.tx.maxFeePerGas, undefined);
+});
+
+test('build-tx writes one ledger line per quote however often it is rebuilt', async () => {
+    const ids = await quoteIds();
+
+    // A wallet retrying before the first answer arrives, then once more afterwards
+    const concurrent = await Promise.all([1, 2, 3].map(() => postJson('/swap/v1/build-tx', { quoteId: ids.SwapOKX, userAddress: USER })));
+    assert.deepEqual(concurrent.map(r => r.code), [0, 0, 0]);
+    assert.equal((await postJson('/swap/v1/build-tx', { quoteId: ids.SwapOKX, userAddress: USER })).code, 0);
+
+    const lines = (await ledger.readEntries()).filter(e => e.quoteId === ids.SwapOKX);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].userAddress, USER);
+});
+
+test('build-tx asks Jupiter for the Solana transaction', async () => {
+    const wallet = '5ZWj7a1f8tWkjBESHKgrLmXshuXxqeY9SYcfbshpAqPG';
+    const ids = await quoteIds({
+        fromNetworkId: 'sol--101', toNetworkId: 'sol--101',
+        fromTokenAddress: '', toTokenAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+        fromTokenAmount: '1', userAddress: wallet
+    });
+
+    const resp = await postJson('/swap/v1/build-tx', { quoteId: ids.SwapJupiter, userAddress: wallet });
+
+    assert.equal(resp.code, 0);
+    assert.equal(resp.data.tx.serializedTransaction, upstream.fixture('jupiter-swap').swapTransaction);
+    const swap = upstream.calls.find(c => c.url.endsWith('/v6/swap'));
+    assert.equal(swap.body.userPublicKey, wallet);
+    assert.equal(swap.body.quoteResponse.outAmount, '149700000');
+});
+
+test('build-tx rejects unknown quotes, other wallets and bad input', async () => {
+    const ids = await quoteIds();
+
+    const unknown = await postJson('/swap/v1/build-tx', { quoteId: 'no-such-quote', userAddress: USER });
+    assert.deepEqual(unknown, { code: 40401, message: 'Quote not found, please refresh the quote', data: null });
+
+    const otherWallet = await postJson('/swap/v1/build-tx', {
+        quoteId: ids.SwapOKX, userAddress: '0x1111111111111111111111111111111111111111'
+    });
+    assert.equal(otherWallet.code, 40901);
+
+    const missing = await postJson('/swap/v1/build-tx', { userAddress: USER });
+    assert.equal(missing.code, 40001);
+    assert.equal(missing.message, 'quoteId is required');
+
+    const noWallet = await postJson('/swap/v1/build-tx', { quoteId: ids.SwapOKX });
+    assert.deepEqual(noWallet, { code: 40001, message: 'userAddress is required', data: null });
+
+    // Checked against the quote's network before the wallets are compared
+    const solanaWallet = await postJson('/swap/v1/build-tx', {
+        quoteId: ids.SwapOKX, userAddress: '5ZWj7a1f8tWkjBESHKgrLmXshuXxqeY9SYcfbshpAqPG'
+    });
+    assert.deepEqual(solanaWallet, { code: 40001, message: 'userAddress is not a valid evm--1 address', data: null });
+});
+
+test('build-tx refuses a quote that was streamed and then withdrawn as a rate outlier', async () => {
+    upstream.respond('api.1inch.dev', { status: 200, data: { ...upstream.fixture('1inch-swap'), dstAmount: '4000000000' } });
+    const { events } = await getEvents('/swap/v1/quote/events', ETH_TO_USDC);
+    const streamed = events.filter(e => e.data).flatMap(e => e.data).find(q => q.info.provider === 'Swap1inch');
+    assert.equal(events.find(e => e.type === 'error').provider, 'Swap1inch');
+
+    const resp = await postJson('/swap/v1/build-tx', { quoteId: streamed.quoteId, userAddress: USER });
+
+    assert.deepEqual(resp, { code: 40401, message: 'Quote was withdrawn, please refresh the quote', data: null });
+});
+
+test('build-tx refuses quotes that were requested without a wallet', async () => {
+    const ids = await quoteIds({ ...ETH_TO_USDC, userAddress: '' });
+    upstream.reset();
+
+    for (const provider of ['Swap0x', 'Swap1inch', 'SwapLifi']) {
+        const resp = await postJson('/swap/v1/build-tx', { quoteId: ids[provider], userAddress: USER });
+        assert.equal(resp.code, 40901, provider);
+        assert.equal(resp.message, 'Quote was requested without a wallet, please refresh the quote');
+    }
+    assert.deepEqual(upstream.calls, []);
+});
+
+test('build-tx asks for a payout address before opening a ChangeHero exchange', async () => {
+    const wallet = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+    const ids = await quoteIds({
+        fromNetworkId: 'btc--0', toNetworkId: 'evm--1', fromTokenAddress: '', toTokenAddress: '',
+        fromTokenAmount: '1', userAddress: wallet
+    });
+    upstream.reset();
+
+    const resp = await postJson('/swap/v1/build-tx', { quoteId: ids.SwapChangeHero, userAddress: wallet });
+
+    assert.deepEqual(resp, { code: 40001, message: 'receivingAddress is required for ChangeHero swaps', data: null });
+    assert.deepEqual(upstream.calls, []);
+});
+
+test('build-tx fails cleanly when the provider cannot build the transaction', async () => {
+    const wallet = '5ZWj7a1f8tWkjBESHKgrLmXshuXxqeY9SYcfbshpAqPG';
+    const ids = await quoteIds({
+        fromNetworkId: 'sol--101', toNetworkId: 'sol--101',
+        fromTokenAddress: '', toTokenAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+        fromTokenAmount: '1', userAddress: wallet
+    });
+    upstream.respond('quote-api.jup.ag/v6/swap', upstream.ERRORS.serverError);
+
+    const resp = await postJson('/swap/v1/build-tx', { quoteId: ids.SwapJupiter, userAddress: wallet });
+
+    assert.deepEqual(resp, { code: 50001, message: 'Failed to build transaction', data: null });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const upstream = require('./upstream');
+
+const LEDGER_FILE = path.join(os.tmpdir(), `bitrabo-test-ledger-${process.pid}.jsonl`);
+process.on('exit', () => fs.rmSync(LEDGER_FILE, { force: true }));
+
+// Set before the server and its lib/ modules read them. dotenv never overrides a variable
+// that is already set, so an empty value keeps a developer's .env (fee receiver, Jupiter
+// fee account, RPCs, Redis) out of the tests.
+Object.assign(process.env, {
+    FEE_LEDGER_FILE: LEDGER_FILE,
+    // node --test reads each file's stdout as its reporter stream; JSON log lines would garble it
+    LOG_LEVEL: 'silent',
+    QUOTE_CACHE_TTL_MS: '0',
+    ONEKEY_PROXY_ALLOW: 'GET /swap/v1/token-list*,POST /swap/v1/fetch-swap-history',
+    ONEKEY_PROXY_CACHE: 'GET /swap/v1/token-list*',
+    ONEKEY_PROXY_RETRIES: '1',
+    BREAKER_FAILURE_THRESHOLD: '1000',
+    // Generous defaults so suites never throttle themselves; the "tight" client has low limits
+    CLIENTS_FILE: path.join(__dirname, '..', 'fixtures', 'clients.json'),
+    CORS_ORIGINS: 'https://wallet.example', REQUIRE_API_KEY: '', TRUST_PROXY: '',
+    RATE_LIMIT_QUOTE_IP: '6000/1000', RATE_LIMIT_QUOTE_CLIENT: '6000/1000',
+    RATE_LIMIT_BUILD_TX_IP: '6000/1000', RATE_LIMIT_BUILD_TX_CLIENT: '6000/1000',
+    RATE_LIMIT_LOOKUP_IP: '6000/1000', RATE_LIMIT_LOOKUP_CLIENT: '6000/1000',
+    BITRABO_FEE: '0.0025', BITRABO_FEE_RECEIVER: '0x00000000000000000000000000000000000fee01', BITRABO_INTEGRATOR: 'bitrabo', LIFI_API_KEY: '',
+    OKX_API_KEY: 'test', OKX_SECRET_KEY: 'test', OKX_PASSPHRASE: 'test',
+    ZEROX_API_KEY: 'test', ONEINCH_API_KEY: 'test', CHANGEHERO_API_KEY: 'test',
+    JUPITER_FEE_ACCOUNT: '', SIMULATE_TXS: '', REDIS_URL: '', TOKEN_CACHE_FILE: '', FEE_POLICY_FILE: '',
+    // A suite may point this at its own registry before requiring the helper
+    CHAINS_FILE: process.env.CHAINS_FILE || ''
+});
+const { CHAINS } = require('../../lib/networks');
+for (const { chainId } of CHAINS) if (chainId !== undefined) process.env[`RPC_URL_${chainId}`] = '';
+// Overrides a suite sets as JSON before requiring the helper, such as a local RPC node
+Object.assign(process.env, JSON.parse(process.env.BITRABO_TEST_ENV || '{}'));
+
+upstream.install();
+const server = require('../../server');
+
+const USER = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// 1 ETH -> USDC on Ethereum from a connected wallet, so every EVM provider quotes
+const ETH_TO_USDC = {
+    fromNetworkId: 'evm--1', toNetworkId: 'evm--1',
+    fromTokenAddress: '', toTokenAddress: USDC,
+    fromTokenAmount: '1', userAddress: USER
+};
+
+let listening = null;
+
+async function start() {
+    if (!listening) {
+        listening = new Promise((resolve) => {
+            const http = server.app.listen(0, '127.0.0.1', () => resolve(http));
+        });
+    }
+    const http = await listening;
+    return `http://127.0.0.1:${http.address().port}`;
+}
+
+async function stop() {
+    if (!listening) return;
+    const http = await listening;
+    listening = null;
+    await new Promise((resolve) => http.close(resolve));
+}
+
+async function getJson(pathname, query = {}) {
+    const res = await fetch(`${await start()}${pathname}?${new URLSearchParams(query)}`);
+    return res.json();
+}
+
+async function postJson(pathname, body) {
+    const res = await fetch(`${await start()}${pathname}`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    });
+    return res.json();
+}
+
+// Whole SSE response: raw body plus the parsed `data:` payloads in order
+async function getEvents(pathname, query, headers = {}) {
+    const res = await fetch(`${await start()}${pathname}?${new URLSearchParams(query)}`, { headers });
+    const raw = await res.text();
+    const events = raw.split('\n\n').filter(Boolean).map(frame => JSON.parse(frame.replace(/^data: /, '')));
+    return { res, raw, events };
+}
+
+module.exports = { ...server, upstream, USER, USDC, ETH_TO_USDC, start, stop, getJson, postJson, getEvents };
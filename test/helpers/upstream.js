@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const { AxiosError, CanceledError } = axios;
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+const ERRORS = fixture('upstream-errors');
+
+// Recorded answers by URL fragment, first match wins. A reply is `{ status, data, headers? }`,
+// 'timeout', 'network', or a function of the request returning one of those.
+const RECORDED = [
+    ['api.0x.org/swap/allowance-holder/quote', { status: 200, data: fixture('0x-quote') }],
+    ['api.0x.org/swap/allowance-holder/price', { status: 200, data: fixture('0x-price') }],
+    ['api.1inch.dev/swap/v5.2/1/swap', { status: 200, data: fixture('1inch-swap') }],
+    ['www.okx.com/api/v5/dex/aggregator/swap', { status: 200, data: fixture('okx-swap') }],
+    ['quote-api.jup.ag/v6/quote', { status: 200, data: fixture('jupiter-quote') }],
+    ['quote-api.jup.ag/v6/swap', { status: 200, data: fixture('jupiter-swap') }],
+    ['li.quest/v1/chains', { status: 200, data: { chains: [] } }],
+    ['li.quest/v1/token?', lifiToken],
+    ['li.quest/v1/advanced/routes', { status: 200, data: fixture('lifi-routes') }],
+    ['li.quest/v1/advanced/stepTransaction', { status: 200, data: fixture('lifi-step-transaction') }],
+    ['api.changehero.io/v2/', changeHero],
+    ['swap.onekeycn.com/swap/v1/token-list', { status: 200, data: fixture('onekey-token-list'), headers: { 'cache-control': 'max-age=60' } }]
+];
+
+function lifiToken({ url }) {
+    const query = new URL(url).searchParams;
+    const token = fixture('lifi-tokens')[`${query.get('chain')}:${query.get('token')}`.toLowerCase()];
+    return token ? { status: 200, data: token } : { status: 404, data: { message: 'Token not found', code: 1003 } };
+}
+
+// ChangeHero's JSON-RPC endpoint, answered per method
+function changeHero({ body }) {
+    const results = { getMinAmount: '0.001', getExchangeAmount: '19.5' };
+    return body.method in results
+        ? { status: 200, data: { jsonrpc: '2.0', id: body.id, result: results[body.method] } }
+        : { status: 200, data: { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: 'Method not found' } } };
+}
+
+let overrides = [];
+const calls = [];
+
+// Replaces the recorded answer for every URL containing `fragment` until reset()
+function respond(fragment, reply) {
+    overrides.unshift([fragment, reply]);
+}
+
+function reset() {
+    overrides = [];
+    calls.length = 0;
+}
+
+function replyFor(request) {
+    calls.push(request);
+    const match = [...overrides, ...RECORDED].find(([fragment]) => request.url.includes(fragment));
+    if (!match) return 'network';
+    const reply = match[1];
+    return typeof reply === 'function' ? reply(request) : reply;
+}
+
+// Everything axios sends goes through here instead of the network
+async function axiosAdapter(config) {
+    if (config.signal?.aborted) throw new CanceledError(null, null, config);
+    const url = axios.getUri(config);
+    const raw = Buffer.isBuffer(config.data) ? config.data.toString() : config.data;
+    const body = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const headers = config.headers.toJSON();
+    const reply = replyFor({ method: config.method.toUpperCase(), url, headers, body });
+
+    if (reply === 'timeout') {
+        throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config);
+    }
+    if (reply === 'network') {
+        throw new AxiosError(`connect ECONNREFUSED ${new URL(url).host}`, 'ECONNREFUSED', config);
+    }
+    const data = config.responseType === 'arraybuffer' ? Buffer.from(JSON.stringify(reply.data)) : reply.data;
+    const response = {
+        data, status: reply.status, statusText: String(reply.status),
+        headers: { 'content-type': 'application/json', ...reply.headers }, config, request: {}
+    };
+    if (!config.validateStatus(reply.status)) {
+        const code = reply.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+        throw new AxiosError(`Request failed with status code ${reply.status}`, code, config, {}, response);
+    }
+    return response;
+}
+
+// The LiFi SDK uses global fetch; requests to this machine (the tests' own client) pass through
+function mockFetch(realFetch) {
+    return async (input, init = {}) => {
+        const url = typeof input === 'string' ? input : input.url;
+        const { hostname } = new URL(url);
+        if (hostname === '127.0.0.1' || hostname === 'localhost') return realFetch(input, init);
+        if (init.signal?.aborted) throw new DOMException('This operation was aborted', 'AbortError');
+
+        const reply = replyFor({ method: init.method || 'GET', url, body: init.body ? JSON.parse(init.body) : undefined });
+        if (reply === 'timeout') throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+        if (reply === 'network') throw new TypeError('fetch failed');
+        return new Response(JSON.stringify(reply.data), { status: reply.status, headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+function install() {
+    axios.defaults.adapter = axiosAdapter;
+    globalThis.fetch = mockFetch(globalThis.fetch);
+}
+
+module.exports = { ERRORS, fixture, install, respond, reset, calls };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upstream, USER, ETH_TO_USDC, start, stop, getEvents, postJson } = require('./helpers/app');
+
+test.afterEach(() => upstream.reset());
+test.after(stop);
+
+async function scrape() {
+    const res = await fetch(`${await start()}/metrics`);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return res.text();
+}
+
+test('quote streams and build-tx show up in the Prometheus metrics', async () => {
+    upstream.respond('api.1inch.dev', upstream.ERRORS.rateLimited);
+    const { events } = await getEvents('/swap/v1/quote/events', ETH_TO_USDC);
+    const quoteId = events.at(-2).data.find(q => q.info.provider === 'Swap0x').quoteId;
+    assert.equal((await postJson('/swap/v1/build-tx', { quoteId, userAddress: USER })).code, 0);
+    await postJson('/swap/v1/build-tx', { quoteId: 'no-such-quote', userAddress: USER });
+
+    const text = await scrape();
+
+    assert.match(text, /^# TYPE bitrabo_quote_requests_total counter$/m);
+    assert.match(text, /^bitrabo_quote_requests_total\{type="quote",outcome="ok"\} 1$/m);
+    assert.match(text, /^bitrabo_quote_duration_seconds_count\{type="quote"\} 1$/m);
+    assert.match(text, /^bitrabo_provider_requests_total\{provider="Swap0x",network="evm--1",method="quote",outcome="ok"\} 1$/m);
+    assert.match(text, /^bitrabo_provider_requests_total\{provider="Swap1inch",network="evm--1",method="quote",outcome="rate_limited"\} 1$/m);
+    assert.match(text, /^bitrabo_provider_latency_seconds_bucket\{provider="SwapOKX",method="quote",le="\+Inf"\} 1$/m);
+    assert.match(text, /^bitrabo_build_tx_total\{provider="Swap0x",network="evm--1",step="0"\} 1$/m);
+    assert.match(text, /^bitrabo_build_tx_errors_total\{code="40401"\} 1$/m);
+    assert.match(text, /^bitrabo_quote_cache_lookups_total\{result="miss"\} 1$/m);
+    assert.match(text, /^bitrabo_provider_breaker_state\{provider="Swap1inch",network="evm--1"\} 0$/m);
+});
+
+test('the request id is echoed back and becomes the quote stream\'s eventId', async () => {
+    const { res, events } = await getEvents('/swap/v1/quote/events', ETH_TO_USDC, { 'x-request-id': 'wallet-trace-0001' });
+
+    assert.equal(res.headers.get('x-request-id'), 'wallet-trace-0001');
+    assert.equal(events[0].eventId, 'wallet-trace-0001');
+    assert.ok(events.at(-2).data.every(q => q.eventId === 'wallet-trace-0001'));
+});
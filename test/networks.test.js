@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The default registry plus Linea, configured for 0x and LiFi only
+const LINEA_USDC = '0x176211869cA2b568f2A7D4EE941E073a821EE1ff';
+const CHAINS_FILE = path.join(os.tmpdir(), `bitrabo-test-chains-${process.pid}.json`);
+fs.writeFileSync(CHAINS_FILE, JSON.stringify({
+    chains: [...require('../lib/chains.json').chains, {
+        networkId: 'evm--59144', chainId: 59144, network: 'ETH', name: 'Linea',
+        nativeToken: { symbol: 'ETH', decimals: 18 }, rpcUrls: [], explorerUrl: 'https://lineascan.build',
+        indexerSupported: true, providers: { Swap0x: ['singleSwap'], SwapLifi: ['singleSwap', 'crossChain'] }
+    }]
+}));
+process.on('exit', () => fs.rmSync(CHAINS_FILE, { force: true }));
+process.env.CHAINS_FILE = CHAINS_FILE;
+
+const { upstream, getJson, generateAllQuotes, stop, USER } = require('./helpers/app');
+
+test.afterEach(() => upstream.reset());
+test.after(stop);
+
+const networkIds = (networks) => networks.map(n => n.networkId);
+
+test('providers/list advertises each provider only where the registry enables it, per mode', async () => {
+    const { data } = await getJson('/swap/v1/providers/list');
+    const byId = Object.fromEntries(data.map(p => [p.providerInfo.provider, p]));
+
+    assert.equal(byId.Swap0x.isSupportCrossChain, false);
+    assert.deepEqual(byId.Swap0x.supportCrossChainNetworks, []);
+    assert.ok(networkIds(byId.Swap0x.supportSingleSwapNetworks).includes('evm--59144'));
+    assert.ok(!networkIds(byId.SwapOKX.supportSingleSwapNetworks).includes('evm--59144'));
+    assert.deepEqual(networkIds(byId.SwapJupiter.supportSingleSwapNetworks), ['sol--101']);
+    assert.equal(byId.SwapChangeHero.isSupportSingleSwap, false);
+    assert.deepEqual(networkIds(byId.SwapChangeHero.supportCrossChainNetworks).sort(),
+        ['btc--0', 'doge--0', 'evm--1', 'evm--56', 'ltc--0', 'sol--101']);
+    // Network objects keep the wallet's shape; RPC URLs stay server-side
+    assert.deepEqual(byId.SwapLifi.supportCrossChainNetworks.find(n => n.networkId === 'evm--59144'),
+        { networkId: 'evm--59144', network: 'ETH', name: 'Linea', symbol: 'ETH', decimals: 18, indexerSupported: true });
+});
+
+test('check-support follows the registry', async () => {
+    assert.equal((await getJson('/swap/v1/check-support', { networkId: 'evm--59144' })).data[0].status, 'available');
+    assert.equal((await getJson('/swap/v1/check-support', { networkId: 'evm--324' })).data[0].status, 'unavailable');
+});
+
+test('a chain added in the registry is quoted by the providers enabled on it', async () => {
+    upstream.respond('li.quest/v1/token?', ({ url }) => {
+        const token = new URL(url).searchParams.get('token');
+        return token === LINEA_USDC.toLowerCase()
+            ? { status: 200, data: { address: LINEA_USDC, chainId: 59144, symbol: 'USDC', decimals: 6, name: 'USD Coin', priceUSD: '1' } }
+            : { status: 200, data: { address: token, chainId: 59144, symbol: 'ETH', decimals: 18, name: 'ETH', priceUSD: '3000' } };
+    });
+
+    const quotes = await generateAllQuotes({
+        fromNetworkId: 'evm--59144', toNetworkId: 'evm--59144', fromTokenAddress: '', toTokenAddress: LINEA_USDC,
+        fromTokenAmount: '1', userAddress: USER
+    }, 'evt-linea');
+
+    assert.deepEqual(quotes.map(q => q.info.provider).sort(), ['Swap0x', 'SwapLifi']);
+    const zeroEx = upstream.calls.find(c => c.url.includes('api.0x.org'));
+    assert.equal(new URL(zeroEx.url).searchParams.get('chainId'), '59144');
+    assert.ok(!upstream.calls.some(c => c.url.includes('okx.com') || c.url.includes('1inch.dev')));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upstream, start, stop } = require('./helpers/app');
+
+test.afterEach(() => upstream.reset());
+test.after(stop);
+
+const oneKeyCalls = () => upstream.calls.filter(c => c.url.startsWith('https://swap.onekeycn.com/'));
+
+async function call(path, init) {
+    const res = await fetch(`${await start()}${path}`, init);
+    return { res, body: await res.json() };
+}
+
+test('allowed paths are forwarded with the query and without credentials', async () => {
+    const { res, body } = await call('/swap/v1/token-list?networkId=evm--1&keywords=usdc', {
+        headers: { cookie: 'session=1', authorization: 'Bearer secret', 'x-admin-key': 'admin', 'x-onekey-request-currency': 'usd' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('cache-control'), 'max-age=60');
+    assert.deepEqual(body, upstream.fixture('onekey-token-list'));
+    const [forwarded] = oneKeyCalls();
+    assert.equal(forwarded.url, 'https://swap.onekeycn.com/swap/v1/token-list?networkId=evm--1&keywords=usdc');
+    assert.equal(forwarded.headers['x-onekey-request-currency'], 'usd');
+    for (const name of ['cookie', 'authorization', 'x-admin-key', 'x-forwarded-for']) assert.equal(forwarded.headers[name], undefined);
+});
+
+test('cacheable GETs are answered from the cache within the TTL', async () => {
+    await call('/swap/v1/token-list?networkId=evm--56');
+    const { res } = await call('/swap/v1/token-list?networkId=evm--56');
+
+    assert.equal(res.status, 200);
+    assert.equal(oneKeyCalls().length, 1);
+});
+
+test('paths outside the allowlist are refused without reaching OneKey', async () => {
+    const { res, body } = await call('/swap/v1/some-internal-endpoint');
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(body, { code: 40403, message: 'GET /swap/v1/some-internal-endpoint is not supported', data: null });
+    // Allowed path, but not for this method
+    assert.equal((await call('/swap/v1/fetch-swap-history')).res.status, 404);
+    assert.equal(oneKeyCalls().length, 0);
+});
+
+test('POST bodies are forwarded as sent', async () => {
+    upstream.respond('swap.onekeycn.com/swap/v1/fetch-swap-history', ({ body }) => ({ status: 200, data: { code: 0, data: body } }));
+
+    const sent = { txIds: ['0xabc'] };
+    const { body } = await call('/swap/v1/fetch-swap-history', {
+        method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(sent)
+    });
+
+    assert.deepEqual(body.data, sent);
+});
+
+test('GETs are retried once after a timeout, then answered with 504', async () => {
+    upstream.respond('swap.onekeycn.com', 'timeout');
+
+    const { res, body } = await call('/swap/v1/token-list?networkId=evm--10');
+
+    assert.equal(res.status, 504);
+    assert.equal(body.code, 50305);
+    assert.equal(oneKeyCalls().length, 2);
+});
+
+test('OneKey\'s own errors are passed through after the retry', async () => {
+    upstream.respond('swap.onekeycn.com', upstream.ERRORS.serverError);
+
+    const { res, body } = await call('/swap/v1/token-list?networkId=evm--137');
+
+    assert.equal(res.status, 502);
+    assert.deepEqual(body, upstream.ERRORS.serverError.data);
+    assert.equal(oneKeyCalls().length, 2);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateAllQuotes, formatQuote, upstream, USDC, ETH_TO_USDC } = require('./helpers/app');
+const { rankQuotes } = require('../lib/ranking');
+
+const providerIds = (quotes) => quotes.map(q => q.info.provider).sort();
+
+test.afterEach(() => upstream.reset());
+
+test('generateAllQuotes ranks every provider\'s quote with exactly one best', async () => {
+    const quotes = await generateAllQuotes(ETH_TO_USDC, 'evt-1');
+
+    assert.deepEqual(providerIds(quotes), ['Swap0x', 'Swap1inch', 'SwapLifi', 'SwapOKX']);
+    assert.equal(quotes.filter(q => q.isBest).length, 1);
+    // OKX has the largest output and the cheapest gas in the recordings
+    assert.equal(quotes[0].info.provider, 'SwapOKX');
+    assert.equal(quotes[0].isBest, true);
+    assert.equal(quotes[0].toAmount, '2995.0');
+    assert.equal(quotes[0].minToAmount, '2980.025');
+    for (const q of quotes) {
+        assert.equal(q.eventId, 'evt-1');
+        assert.equal(q.quoteResultCtx.quoteId, q.quoteId);
+        assert.equal(q.priceImpactLevel, 'normal');
+    }
+});
+
+test('generateAllQuotes reports our fee in the token each provider takes it from', async () => {
+    const quotes = await generateAllQuotes(ETH_TO_USDC, 'evt-fee');
+    const feeOf = (id) => quotes.find(q => q.info.provider === id).quoteResultCtx.integratorFee;
+
+    // LiFi and 1inch take it from the 1 ETH sold, 0x and OKX from the USDC bought
+    for (const id of ['SwapLifi', 'Swap1inch']) {
+        assert.deepEqual(feeOf(id), { bps: 25, amount: '0.002500', usd: '7.50', symbol: 'ETH', networkId: 'evm--1', tokenAddress: '' });
+    }
+    for (const id of ['Swap0x', 'SwapOKX']) assert.equal(feeOf(id).symbol, 'USDC');
+});
+
+test('0x, 1inch and OKX quotes carry no integrator fee without a receiver to pay it to', async () => {
+    const ctx = {
+        params: ETH_TO_USDC, amount: '1000000000000000000', fromChain: 1, toDecimals: 6, nativePriceUSD: 3000, slippage: 0.5,
+        fee: { bps: 25, percent: 0.25, fraction: 0.0025, recipient: null }
+    };
+
+    for (const id of ['0x', '1inch', 'okx']) {
+        assert.equal((await require(`../providers/${id}`).quote(ctx)).noIntegratorFee, true, id);
+    }
+    assert.equal(upstream.calls.length, 3);
+    assert.equal(upstream.calls.some(c => /swapFeeBps|feePercent|[?&]fee=/.test(c.url)), false);
+});
+
+test('LiFi quotes carry the route\'s own fee and gas costs, nothing more', async () => {
+    const quotes = await generateAllQuotes(ETH_TO_USDC, 'evt-lifi-fees');
+    const lifi = quotes.find(q => q.info.provider === 'SwapLifi');
+
+    // The recorded route bills no protocol fee and $9.90 of gas
+    assert.equal(lifi.fee.protocolFees, 0);
+    assert.equal(lifi.fee.estimatedFeeFiatValue, 9.9);
+});
+
+test('generateAllQuotes sends the wallet, amount and slippage upstream', async () => {
+    await generateAllQuotes({ ...ETH_TO_USDC, slippage: '1' }, 'evt-2');
+
+    const zeroEx = upstream.calls.find(c => c.url.includes('api.0x.org'));
+    const params = new URL(zeroEx.url).searchParams;
+    assert.equal(params.get('sellAmount'), '1000000000000000000');
+    assert.equal(params.get('taker'), ETH_TO_USDC.userAddress);
+    assert.equal(params.get('slippageBps'), '100');
+
+    const routes = upstream.calls.find(c => c.url.includes('/advanced/routes'));
+    assert.equal(routes.method, 'POST');
+    assert.equal(routes.body.fromAmount, '1000000000000000000');
+    assert.equal(routes.body.options.slippage, 0.01);
+});
+
+test('generateAllQuotes leaves out providers that are rate limited, time out or fail', async () => {
+    upstream.respond('api.1inch.dev', upstream.ERRORS.rateLimited);
+    upstream.respond('api.0x.org', 'timeout');
+    upstream.respond('li.quest/v1/advanced/routes', upstream.ERRORS.serverError);
+    upstream.respond('www.okx.com', upstream.ERRORS.okxRejected);
+
+    assert.deepEqual(await generateAllQuotes(ETH_TO_USDC, 'evt-3'), []);
+});
+
+test('generateAllQuotes keeps the quotes that did arrive when one provider is down', async () => {
+    upstream.respond('www.okx.com', 'network');
+
+    const quotes = await generateAllQuotes(ETH_TO_USDC, 'evt-4');
+    assert.deepEqual(providerIds(quotes), ['Swap0x', 'Swap1inch', 'SwapLifi']);
+    assert.equal(quotes[0].info.provider, 'Swap0x');
+    assert.equal(quotes[0].isBest, true);
+});
+
+test('generateAllQuotes drops a quote far off the others\' rate', async () => {
+    upstream.respond('api.1inch.dev', { status: 200, data: { ...upstream.fixture('1inch-swap'), dstAmount: '4000000000' } });
+
+    const quotes = await generateAllQuotes(ETH_TO_USDC, 'evt-5');
+    assert.deepEqual(providerIds(quotes), ['Swap0x', 'SwapLifi', 'SwapOKX']);
+});
+
+test('generateAllQuotes quotes Solana swaps through Jupiter', async () => {
+    const quotes = await generateAllQuotes({
+        fromNetworkId: 'sol--101', toNetworkId: 'sol--101',
+        fromTokenAddress: '', toTokenAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+        fromTokenAmount: '1'
+    }, 'evt-6');
+
+    assert.deepEqual(providerIds(quotes), ['SwapJupiter']);
+    assert.equal(quotes[0].toAmount, '149.7');
+    assert.equal(quotes[0].minToAmount, '148.9515');
+    assert.equal(quotes[0].quoteResultCtx.jupiterQuote.outAmount, '149700000');
+    // Without a fee account Jupiter swaps carry no integrator fee
+    assert.equal(quotes[0].fee.percentageFee, 0);
+});
+
+test('formatQuote fills in minToAmount from the slippage and the integrator fee from the output', () => {
+    const ctx = {
+        params: { ...ETH_TO_USDC, fromNetworkId: 'evm--1' },
+        fromToken: { address: '0x0000000000000000000000000000000000000000', symbol: 'ETH', name: 'ETH', decimals: 18 },
+        toToken: { address: USDC.toLowerCase(), symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+        toPriceUSD: 1,
+        slippage: 0.5,
+        fee: { bps: 25, percent: 0.25, fraction: 0.0025, recipient: null }
+    };
+    const provider = { id: 'Swap0x', name: '0x', logo: 'https://example.com/0x.png' };
+    const data = {
+        toAmount: '2992.5', fiatFee: 10.8, priceImpact: 0.25,
+        tx: { to: '0x0000000000001ff3684f28c67538d4d072c22734', data: '0x', value: '0', gasLimit: '180000' },
+        ctx: { zeroxChainId: 1 }
+    };
+
+    const q = formatQuote(provider, ctx, data, 'evt-7', true);
+
+    assert.equal(q.minToAmount, '2977.537500');
+    assert.equal(q.instantRate, '2992.50000000');
+    assert.equal(q.gasLimit, 180000);
+    assert.equal(q.fee.percentageFee, 0.25);
+    assert.equal(q.fee.estimatedFeeFiatValue, 10.8);
+    assert.equal(q.priceImpactLevel, 'normal');
+    assert.equal(q.fromTokenInfo.symbol, 'ETH');
+    assert.equal(q.toTokenInfo.contractAddress, USDC);
+    assert.equal(q.isBest, true);
+    assert.deepEqual(q.quoteResultCtx.integratorFee, {
+        bps: 25, amount: '7.500000', usd: '7.50', symbol: 'USDC', networkId: 'evm--1', tokenAddress: USDC
+    });
+    assert.equal(q.quoteResultCtx.providerId, 'Swap0x');
+    assert.equal(q.quoteResultCtx.zeroxChainId, 1);
+    assert.equal(q.quoteResultCtx.quoteId, q.quoteId);
+});
+
+test('rankQuotes compares outputs that are already net of our fee as they are', () => {
+    const ranked = rankQuotes([
+        { provider: { id: 'SwapChangeHero' }, quote: { toAmount: '2990', fiatFee: 5, noIntegratorFee: true } },
+        { provider: { id: 'SwapLifi' }, quote: { toAmount: '2992', fiatFee: 5 } }
+    ], 'maxOutput', { toPriceUSD: 1 });
+
+    assert.equal(ranked[0].provider.id, 'SwapLifi');
+    assert.equal(ranked[0].netValue.toString(), '2987');
+});
+
+test('volume tiers discount the chain rate and never raise it', (t) => {
+    const { POLICY, resolveFee } = require('../lib/fees');
+    const saved = { chains: POLICY.chains, tiers: POLICY.tiers };
+    t.after(() => Object.assign(POLICY, saved));
+    Object.assign(POLICY, { chains: { 56: 10 }, tiers: [{ minUsd: 100000, bps: 5 }, { minUsd: 10000, bps: 20 }] });
+    const swap = (fromChain, amountUSD) => resolveFee({
+        fromChain, amountUSD, fromToken: { address: '', symbol: 'BNB' }, toToken: { address: '0xcake', symbol: 'CAKE' }
+    }).bps;
+
+    assert.equal(swap(56, 100), 10);
+    assert.equal(swap(56, 50000), 10);
+    assert.equal(swap(56, 500000), 5);
+    assert.equal(swap(1, 50000), 20);
+});
+
+test('ChangeHero checks the amount against the floating-rate minimum it quotes with', async () => {
+    const btcToEth = { fromNetworkId: 'btc--0', toNetworkId: 'evm--1', fromTokenAddress: '', toTokenAddress: '', fromTokenAmount: '1' };
+
+    const quotes = await generateAllQuotes(btcToEth, 'evt-ch');
+    assert.deepEqual(providerIds(quotes), ['SwapChangeHero']);
+    assert.equal(quotes[0].toAmount, '19.5');
+    // No gas estimate for a deposit, so no network fee is made up either
+    assert.equal(quotes[0].fee.estimatedFeeFiatValue, null);
+    const methods = upstream.calls.filter(c => c.url.includes('changehero')).map(c => c.body.method);
+    assert.deepEqual(methods, ['getMinAmount', 'getExchangeAmount']);
+
+    assert.deepEqual(await generateAllQuotes({ ...btcToEth, fromTokenAmount: '0.0005' }, 'evt-ch-small'), []);
+});
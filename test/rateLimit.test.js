@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upstream, start, stop, ETH_TO_USDC } = require('./helpers/app');
+const { createMemoryRateStore, createRateLimiter, parseLimit } = require('../lib/rateLimit');
+
+test.afterEach(() => upstream.reset());
+test.after(stop);
+
+const PRICE_QUERY = { ...ETH_TO_USDC, userAddress: '' };
+
+async function call(path, init) {
+    const res = await fetch(`${await start()}${path}`, init);
+    return { res, body: await res.json() };
+}
+
+test('a bucket allows its burst, then refuses until a token refills', async () => {
+    const store = createMemoryRateStore();
+    const k = [{ key: 'k', limit: parseLimit('60/2') }];
+
+    assert.equal((await store.take(k)).allowed, true);
+    assert.equal((await store.take(k)).allowed, true);
+    const refused = await store.take(k);
+    assert.equal(refused.allowed, false);
+    assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= 1000);
+    assert.equal((await store.take([{ key: 'other', limit: parseLimit('60/2') }])).allowed, true);
+});
+
+test('a request refused by one bucket spends nothing from the others', async () => {
+    const limiter = createRateLimiter(createMemoryRateStore(), {
+        quote: { ip: parseLimit('60/2'), client: parseLimit('60/100') }
+    });
+    const client = { id: 'c', limits: { quote: '60/1' } };
+
+    assert.deepEqual(await limiter.take('quote', { ip: '1.1.1.1', client }), { allowed: true });
+    assert.equal((await limiter.take('quote', { ip: '1.1.1.1', client })).scope, 'client');
+    // The refused request left the IP's second token in place
+    assert.deepEqual(await limiter.take('quote', { ip: '1.1.1.1', client: null }), { allowed: true });
+    assert.equal((await limiter.take('quote', { ip: '1.1.1.1', client: null })).scope, 'ip');
+});
+
+test('clients identified by API key are not held to the IP bucket', async () => {
+    const limiter = createRateLimiter(createMemoryRateStore(), {
+        quote: { ip: parseLimit('60/1'), client: parseLimit('60/3') }
+    });
+    const client = { id: 'server-side' };
+
+    for (let i = 0; i < 3; i++) assert.equal((await limiter.take('quote', { ip: '2.2.2.2', client, byApiKey: true })).allowed, true);
+    assert.equal((await limiter.take('quote', { ip: '2.2.2.2', client, byApiKey: true })).scope, 'client');
+    // Nor do they use it up for anonymous callers behind the same address
+    assert.deepEqual(await limiter.take('quote', { ip: '2.2.2.2', client: null }), { allowed: true });
+});
+
+test('requests over the limit get a 429 in the response envelope with Retry-After', async () => {
+    const headers = { 'x-api-key': 'tight-key' };
+    const query = new URLSearchParams(PRICE_QUERY);
+    for (let i = 0; i < 2; i++) {
+        const { res } = await call(`/swap/v1/price?${query}`, { headers });
+        assert.equal(res.status, 200);
+    }
+    const { res, body } = await call(`/swap/v1/price?${query}`, { headers });
+
+    assert.equal(res.status, 429);
+    assert.equal(body.code, 42901);
+    assert.equal(body.data, null);
+    assert.ok(Number(res.headers.get('retry-after')) >= 1);
+    assert.match(await (await fetch(`${await start()}/metrics`)).text(), /bitrabo_rate_limited_total\{class="quote",scope="client"\} 1/);
+
+    // build-tx has its own bucket
+    const first = await call('/swap/v1/build-tx', {
+        method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify({ quoteId: 'missing' })
+    });
+    assert.notEqual(first.res.status, 429);
+    const second = await call('/swap/v1/build-tx', {
+        method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify({ quoteId: 'missing' })
+    });
+    assert.equal(second.res.status, 429);
+
+    // Allowance, status and order lookups share one
+    assert.notEqual((await call('/swap/v1/allowance', { headers })).res.status, 429);
+    assert.equal((await call('/swap/v1/order-status', { headers })).res.status, 429);
+    const stateTx = await call('/swap/v1/state-tx', {
+        method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: '{}'
+    });
+    assert.equal(stateTx.res.status, 429);
+});
+
+test('an unknown API key is refused', async () => {
+    const { res, body } = await call(`/swap/v1/price?${new URLSearchParams(PRICE_QUERY)}`, { headers: { 'x-api-key': 'nope' } });
+
+    assert.equal(res.status, 401);
+    assert.equal(body.code, 40101);
+});
+
+test('browsers may call from configured and client origins only', async () => {
+    const allowed = async (origin) => (await fetch(`${await start()}/swap/v1/providers/list`, { headers: { origin } }))
+        .headers.get('access-control-allow-origin');
+
+    assert.equal(await allowed('https://wallet.example'), 'https://wallet.example');
+    assert.equal(await allowed('https://app.wallet.example'), 'https://app.wallet.example');
+    assert.equal(await allowed('https://evil.example'), null);
+});
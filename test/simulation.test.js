@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// A stand-in Ethereum node: ERC-20 allowance reads answer `allowance`, every gas estimate
+// reverts, and there is no EIP-1559 fee history
+let allowance = 0n;
+const rpcCalls = [];
+function answer({ id, method, params }) {
+    rpcCalls.push(method);
+    const result = (value) => ({ jsonrpc: '2.0', id, result: value });
+    const error = (code, message) => ({ jsonrpc: '2.0', id, error: { code, message, data: '0x' } });
+    switch (method) {
+        case 'eth_chainId': return result('0x1');
+        case 'eth_gasPrice': return result('0x4a817c800');
+        case 'eth_call':
+            return params[0].data?.startsWith('0xdd62ed3e') ? result(`0x${allowance.toString(16).padStart(64, '0')}`) : result('0x');
+        case 'eth_estimateGas': return error(3, 'execution reverted');
+        default: return error(-32601, 'Method not found');
+    }
+}
+const node = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+        const body = JSON.parse(raw);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(Array.isArray(body) ? body.map(answer) : answer(body)));
+    });
+});
+
+let app;
+test.before(async () => {
+    await new Promise((resolve) => node.listen(0, '127.0.0.1', resolve));
+    process.env.BITRABO_TEST_ENV = JSON.stringify({
+        SIMULATE_TXS: 'true', SIMULATION_ON_REVERT: 'flag', RPC_URL_1: `http://127.0.0.1:${node.address().port}`
+    });
+    app = require('./helpers/app');
+});
+test.afterEach(() => app.upstream.reset());
+test.after(async () => {
+    await app.stop();
+    await new Promise((resolve) => node.close(resolve));
+});
+
+// 1000 USDC -> ETH, so the wallet has to approve LiFi's contract first. The other recordings
+// are ETH -> USDC amounts and fail the price impact check here.
+async function usdcQuoteId() {
+    const { events } = await app.getEvents('/swap/v1/quote/events', {
+        fromNetworkId: 'evm--1', toNetworkId: 'evm--1',
+        fromTokenAddress: app.USDC, toTokenAddress: '', fromTokenAmount: '1000', userAddress: app.USER
+    });
+    return events.at(-2).data.find(q => q.info.provider === 'SwapLifi').quoteId;
+}
+
+test('build-tx skips the simulation while the approval is still pending', async () => {
+    allowance = 0n;
+    const quoteId = await usdcQuoteId();
+    rpcCalls.length = 0;
+
+    const resp = await app.postJson('/swap/v1/build-tx', { quoteId, userAddress: app.USER });
+
+    assert.equal(resp.code, 0);
+    assert.deepEqual(resp.data.result.simulation, { status: 'skipped', reason: 'approval_required' });
+    assert.equal(rpcCalls.includes('eth_estimateGas'), false);
+});
+
+test('build-tx still refuses a swap that reverts once the allowance is in place', async () => {
+    allowance = 10n ** 30n;
+    const quoteId = await usdcQuoteId();
+
+    const resp = await app.postJson('/swap/v1/build-tx', { quoteId, userAddress: app.USER });
+
+    assert.equal(resp.code, 42201);
+    assert.match(resp.message, /^Transaction would revert/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upstream, ETH_TO_USDC, getEvents, stop } = require('./helpers/app');
+
+test.afterEach(() => upstream.reset());
+test.after(stop);
+
+test('quote/events streams count, slippage, each quote, the ranked list and done', async () => {
+    upstream.respond('api.1inch.dev', upstream.ERRORS.rateLimited);
+
+    const { res, raw, events } = await getEvents('/swap/v1/quote/events', ETH_TO_USDC);
+
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    assert.ok(raw.startsWith('data: {'));
+    assert.ok(raw.endsWith('\n\n'));
+    raw.split('\n\n').filter(Boolean).forEach(frame => assert.match(frame, /^data: \{.*\}$/));
+
+    const [count, slippage, ...rest] = events;
+    assert.equal(count.totalQuoteCount, 4);
+    assert.ok(count.eventId);
+    assert.equal(slippage.autoSuggestedSlippage, 0.5);
+    assert.equal(slippage.eventId, count.eventId);
+    assert.equal(slippage.fromTokenAmount, '1');
+
+    const done = rest.pop();
+    const ranked = rest.pop();
+    assert.deepEqual(done, { type: 'done' });
+    assert.deepEqual(ranked.data.map(q => q.info.provider), ['SwapOKX', 'Swap0x', 'SwapLifi']);
+    assert.deepEqual(ranked.data.map(q => q.isBest), [true, false, false]);
+
+    // One event per provider as it settles, in arrival order
+    const single = rest.filter(e => e.data).map(e => e.data[0]);
+    assert.deepEqual(single.map(q => q.info.provider).sort(), ['Swap0x', 'SwapLifi', 'SwapOKX']);
+    assert.ok(single.every(q => q.eventId === count.eventId && q.isBest === false));
+    const errors = rest.filter(e => e.type === 'error');
+    assert.deepEqual(errors, [{
+        type: 'error', eventId: count.eventId, provider: 'Swap1inch',
+        reason: 'rate_limited', message: 'Request failed with status code 429'
+    }]);
+});
+
+test('quote/events reports a timed out provider and still finishes', async () => {
+    upstream.respond('api.0x.org', 'timeout');
+
+    const { events } = await getEvents('/swap/v1/quote/events', ETH_TO_USDC);
+
+    const error = events.find(e => e.type === 'error');
+    assert.equal(error.provider, 'Swap0x');
+    assert.equal(error.reason, 'timeout');
+    assert.deepEqual(events.at(-1), { type: 'done' });
+});
+
+test('quote/events answers bad input with a single error event', async () => {
+    const { events } = await getEvents('/swap/v1/quote/events', { ...ETH_TO_USDC, fromTokenAmount: 'abc' });
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'error');
+    assert.equal(events[0].code, 40001);
+    assert.match(events[0].message, /^fromTokenAmount /);
+    assert.ok(events[0].eventId);
+});
+
+test('quote/events ends with done and no ranked list when nobody quotes', async () => {
+    upstream.respond('api.0x.org', upstream.ERRORS.serverError);
+    upstream.respond('api.1inch.dev', upstream.ERRORS.serverError);
+    upstream.respond('www.okx.com', upstream.ERRORS.serverError);
+    upstream.respond('li.quest/v1/advanced/routes', { status: 200, data: { routes: [] } });
+
+    const { events } = await getEvents('/swap/v1/quote/events', ETH_TO_USDC);
+
+    assert.equal(events.filter(e => e.data).length, 0);
+    const reasons = Object.fromEntries(events.filter(e => e.type === 'error').map(e => [e.provider, e.reason]));
+    assert.deepEqual(reasons, { Swap0x: 'upstream_5xx', Swap1inch: 'upstream_5xx', SwapOKX: 'upstream_5xx', SwapLifi: 'no_route' });
+    assert.deepEqual(events.at(-1), { type: 'done' });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getSwapStatus, pollAll } = require('../lib/swapStatus');
+
+const ctx = {
+    quoteId: 'q-1',
+    providerId: 'SwapLifi',
+    fromTokenInfo: { networkId: 'evm--1' },
+    toTokenInfo: { networkId: 'evm--42161' }
+};
+
+// Cross-chain, so every lookup goes to the adapter
+function countingAdapter(status = 'bridging') {
+    const adapter = { calls: 0, async getStatus() { adapter.calls++; return { status }; } };
+    return adapter;
+}
+
+test('status lookups from a client ctx are answered once and never polled', async () => {
+    const adapter = countingAdapter();
+
+    await getSwapStatus({ adapter, txHash: '0xclient', quoteResultCtx: ctx });
+    await getSwapStatus({ adapter, txHash: '0xclient', quoteResultCtx: ctx });
+    await pollAll();
+
+    assert.equal(adapter.calls, 2);
+});
+
+test('stored quotes are tracked per quote, provider and network', async () => {
+    const adapter = countingAdapter();
+
+    const first = await getSwapStatus({ adapter, txHash: '0xstored', quoteResultCtx: ctx }, { track: true });
+    await getSwapStatus({ adapter, txHash: '0xstored', quoteResultCtx: ctx }, { track: true });
+    assert.equal(first.status, 'bridging');
+    assert.equal(adapter.calls, 1);
+
+    await pollAll();
+    assert.equal(adapter.calls, 2);
+
+    // The same hash through another provider is a different swap
+    await getSwapStatus({ adapter, txHash: '0xstored', quoteResultCtx: { ...ctx, providerId: 'SwapOKX' } }, { track: true });
+    assert.equal(adapter.calls, 3);
+
+    // Another user's quote naming the same hash gets its own entry, not the first one's
+    const theirs = countingAdapter('failed');
+    const planted = await getSwapStatus({ adapter: theirs, txHash: '0xstored', quoteResultCtx: { ...ctx, quoteId: 'q-2' } }, { track: true });
+    assert.equal(planted.status, 'failed');
+    assert.equal((await getSwapStatus({ adapter, txHash: '0xstored', quoteResultCtx: ctx }, { track: true })).status, 'bridging');
+});